@@ -1,24 +1,39 @@
 /**
  * cards-backend.js
- * Backend/data layer for the Tag Explorer SPA.
+ * Backend/data layer for the Tag Explorer SPA (main thread side).
  *
- * - Listens on BroadcastChannel('cards-data')
- * - Sends {type:'ps-ready'} handshake (same channel)
- * - Accepts a single payload: { characters: Character[], tags: TagRecord[], tag_map: Record<string,string[]> }
- * - Dedupes by `id` (falls back to derived key if missing, with warning)
- * - Computes derived metrics client-side: tagCount (k), idf per tag, Σidf per character
- * - Builds fast indexes (by id, name, creator, tags; inverted tag → ids)
- * - Parses expressions: boolean tag expression + weights assignment
- * - Blocks UI with a full-screen overlay during indexing; updates progress bar
- * - Exposes window.CardsBackend with store, indexes, query helpers, and events
+ * - Talks to index.js over a per-launch BroadcastChannel('cards-data:<session>') via the shared
+ *   RPC layer (ps-rpc.js); the session id comes from the ?session= URL parameter
+ * - Handshakes with hello (protocol version), then pulls getLibrary:
+ *   { characters: Character[], tags: TagRecord[], tag_map: Record<string,string[]> }
+ * - Then applies live `delta` add/update/remove events in place and fires 'cards:updated'
+ * - Heartbeat pings both ways; when the ST tab goes quiet (or says bye) a banner goes up, the
+ *   handshake restarts (announcing us on the lobby channel) and the library is re-pulled from
+ *   whichever ST page answers
+ * - Ingestion, idf/Σidf, the BM25 text index and similarity scoring run in cards-worker.js;
+ *   this side keeps a mirror of the store for synchronous filter/sort and streams worker progress
+ *   into the blocking overlay
+ * - The worker persists the built indexes to IndexedDB and only re-indexes changed characters on reopen
+ * - The worker also builds the "Similar" neighbour graph in the background; its progress is re-fired
+ *   as 'cards:graph' { done, total }
+ * - When the producer has background hydration on, asks it for the full-card fields of every row
+ *   the cache doesn't have yet and streams them into the worker + mirror (progress pill in the header)
+ * - Keeps the user's tag mapping (aliases + parent tags) in localStorage and hands it to the worker,
+ *   which applies it to every row's tags
+ * - Sanitizes card HTML lazily (per row, on first render)
+ * - Exposes window.CardsBackend with store, query helpers and async worker-backed operations
  *
  * NOTE: This is framework-agnostic; if window.afterData exists, it will be invoked on completion.
  */
 
-/* ============================= Utilities ============================= */
+import {
+  makeQueryAPI, parseBoolExpr, parseWeights, applyRowPatch, applyHydration, normalizeTagMapping, foldText,
+  parseSearchQuery, parseScoreFormula, neighborGraphCovers, NEIGHBOR_K, diffWords
+} from "./cards-core.js";
+import { createRpc, RpcError, RpcErrorCode, PROTOCOL_VERSION, LOBBY, channelName } from "./ps-rpc.js";
 
+/* ============================= Utilities ============================= */
 
-const now = () => performance && performance.now ? performance.now() : Date.now();
 
 function clamp01(x){ return x < 0 ? 0 : (x > 1 ? 1 : x); }
 
@@ -31,17 +46,6 @@ function text(el, t){
   el.textContent = t == null ? "" : String(t);
 }
 
-function normalizeTagsLower(arr){
-  if (!Array.isArray(arr)) return [];
-  const out = new Set();
-  for (let t of arr){
-    if (t == null) continue;
-    t = String(t).trim().toLowerCase();
-    if (t) out.add(t);
-  }
-  return Array.from(out);
-}
-
 function create(tag, attrs={}, children=[]){
   const el = document.createElement(tag);
   for (const [k,v] of Object.entries(attrs)){
@@ -60,25 +64,6 @@ function create(tag, attrs={}, children=[]){
   return el;
 }
 
-function hashString(s){
-  // DJB2-ish, deterministic 32-bit
-  let h = 5381;
-  for (let i = 0; i < s.length; i++) h = ((h << 5) + h) ^ s.charCodeAt(i);
-  return (h >>> 0).toString(36);
-}
-
-function normalizeTag(t){
-  // UI shows quotes for spaces; internally normalize in a case-insensitive, trimmed form
-  if (typeof t !== "string") return "";
-  return t.trim().toLowerCase();
-}
-
-function safeGet(obj, path, fallback){
-  try{
-    return path.split(".").reduce((o,p)=>o && o[p], obj) ?? fallback;
-  }catch{ return fallback; }
-}
-
 /* =================== Blocking overlay & progress UI =================== */
 
 let overlay, progressBar, progressMsg, loadStatus;
@@ -123,54 +108,8 @@ function setLoadStatusText(t){
   loadStatus.textContent = t;
 }
 
-/* ========================= Schema validation ========================= */
-
-function validatePayload(payload){
-  const errors = [];
-  if (!payload || typeof payload !== "object") errors.push("Payload must be an object");
-  const chars = payload.characters;
-  if (!Array.isArray(chars)) errors.push("`characters` must be an array");
-
-  const tags = payload.tags;
-  if (!Array.isArray(tags)) errors.push("`tags` must be an array");
-
-  const tag_map = payload.tag_map;
-  if (!tag_map || typeof tag_map !== "object") errors.push("`tag_map` must be an object");
-
-  if (errors.length) throw new Error("Invalid payload: " + errors.join("; "));
-
-  // Spot-check a few character fields (lenient: we only log warnings)
-  for (let i=0;i<Math.min(chars.length, 3);i++){
-    const c = chars[i];
-    if (typeof c.name !== "string") console.warn("[cards-backend] char missing string `name`", c);
-    if (!Array.isArray(c.tags)) console.warn("[cards-backend] char missing array `tags`", c);
-  }
-  return { characters: chars, tags, tag_map };
-}
-
-/* ======================= Normalization & indexing ===================== */
-
-function deriveId(c){
-  // Prefer provided id, else stable fallback (avatar || name || JSON hash)
-  if (c.id != null) return String(c.id);
-  const basis = String(c.avatar || c.name || "").trim() || JSON.stringify({n:c.name, a:c.avatar});
-  const id = "x_" + hashString(basis);
-  // Warn once per session that id was missing
-  if (!deriveId._warned){ console.warn("[cards-backend] Character missing `id` — using derived id from avatar/name"); deriveId._warned = true; }
-  return id;
-}
-
-function computeIdf(tagToDf, totalDocs){
-  const idf = Object.create(null);
-  const N = totalDocs;
-  for (const [tag, df] of Object.entries(tagToDf)){
-    const v = Math.log((N + 1) / (df + 1)) + 1; // natural log w/ smoothing
-    idf[tag] = v;
-  }
-  return idf;
-}
+/* ============================ Sanitization ============================ */
 
-// ---- Relaxed mode: allow a small, safe subset of HTML ----
 // Allowed tags: basic formatting + lists + code + blockquote + links + <br>
 const ALLOWED_TAGS = new Set([
   "b","strong","i","em","u","s","br",
@@ -303,767 +242,405 @@ function sanitizeHTML_relaxed(dirty) {
   return doc.body.innerHTML;
 }
 
-// === Text-sim helpers (unigram+bigram TF-IDF) ===
-function htmlToPlainText(html){
-  if (!html) return "";
-  const doc = new DOMParser().parseFromString(String(html), "text/html");
-  return (doc.body.textContent || "").replace(/\s+/g, " ").trim();
-}
-
-function tokenizeText(s, { minN = 1, maxN = 3 } = {}){
-  const toks = String(s)
-  .toLowerCase()
-  .split(/[^\p{L}\p{N}]+/u)
-  .filter(Boolean);
-
-  const out = [];
-  for (let n = minN; n <= maxN; n++){
-    for (let i = 0; i + n <= toks.length; i++){
-      out.push(toks.slice(i, i + n).join(" "));
+/* ============================ Worker client ============================ */
+
+let worker = null;
+let workerSeq = 0;
+let graphStatus = null; // last { done, total } of the neighbour-graph build
+const workerPending = new Map(); // id -> { resolve, reject }
+
+function ensureWorker(){
+  if (worker) return worker;
+  worker = new Worker(new URL("./cards-worker.js", import.meta.url), { type: "module" });
+  worker.onmessage = (ev) => {
+    const d = ev?.data || {};
+    if (d.type === "progress"){
+      if (d.status) setLoadStatusText(d.status);
+      setProgress(d.p, d.msg);
+      return;
     }
-  }
-  return out; // duplicates preserved => OK for TF
+    if (d.type === "graph"){
+      graphStatus = { done: d.done, total: d.total };
+      window.dispatchEvent(new CustomEvent("cards:graph", { detail: graphStatus }));
+      return;
+    }
+    const pending = workerPending.get(d.id);
+    if (!pending) return;
+    workerPending.delete(d.id);
+    if (d.error) pending.reject(new Error(d.error));
+    else pending.resolve(d.result);
+  };
+  worker.onerror = (ev) => {
+    console.error("[cards-backend] Worker error:", ev);
+    for (const p of workerPending.values()) p.reject(new Error(ev?.message || "worker error"));
+    workerPending.clear();
+  };
+  return worker;
 }
 
-function cosineSimSparse(ma, mb){
-  if (!ma || !mb) return 0;
-  let dot = 0, na = 0, nb = 0;
-  for (const v of ma.values()) na += v*v;
-  for (const v of mb.values()) nb += v*v;
-  const [small, big] = (ma.size < mb.size) ? [ma, mb] : [mb, ma];
-  for (const [k, va] of small){
-    const vb = big.get(k);
-    if (vb) dot += va*vb;
-  }
-  if (!dot || !na || !nb) return 0;
-  return dot / Math.sqrt(na*nb);
+/** Post an op to the indexing worker; resolves with its result (requests are handled in order). */
+function callWorker(op, args){
+  return new Promise((resolve, reject) => {
+    const id = ++workerSeq;
+    workerPending.set(id, { resolve, reject });
+    try { ensureWorker().postMessage({ id, op, args }); }
+    catch (err){ workerPending.delete(id); reject(err); }
+  });
 }
 
+/** Rebuild the non-cloned parts of a worker snapshot (byId) into a usable mirror store. */
+function hydrateSnapshot(snap){
+  return { ...snap, byId: new Map(snap.rows.map(r => [r.id, r])), textIndex: null };
+}
 
+// Card HTML is sanitized on first use and memoized per row object (patched rows are new objects)
+const htmlCache = new WeakMap();
+function rowHtml(row, field){
+  if (!row) return "";
+  let m = htmlCache.get(row);
+  if (!m){ m = Object.create(null); htmlCache.set(row, m); }
+  if (!(field in m)) m[field] = sanitizeHTML_relaxed(row[field] || "");
+  return m[field];
+}
 
-function buildStore(payload){
-  const t0 = now();
-  setLoadStatusText("Validating payload…"); setProgress(.06, "Checking schema");
-  const { characters, tags, tag_map } = validatePayload(payload);
-
-  setLoadStatusText("Normalizing & de-duplicating…"); setProgress(.12, "Normalizing rows");
-  const byId = new Map();
-  const rows = [];
-  const errors = [];
-  let missingTags = 0;
-
-  // Normalize tags universe
-  const tagUniverse = new Set();
-  for (const tr of tags){
-    const name = normalizeTag(tr?.name ?? tr?.id ?? "");
-    if (name) tagUniverse.add(name);
-  }
-
-  for (const c of characters){
-    try{
-      const id = deriveId(c);
-      if (byId.has(id)) continue; // dedupe by id
-      const tagList = Array.isArray(c.tags) ? c.tags.map(normalizeTag).filter(Boolean) : [];
-      for (const t of tagList) tagUniverse.add(t);
-      const creator = safeGet(c, "data.creator", "") || "";
-      const creator_notes = sanitizeHTML_relaxed(safeGet(c, "data.creator_notes", "") || "");
-      const description = sanitizeHTML_relaxed(safeGet(c, "data.description", "") || "");
-      const fav = !!safeGet(c, "data.extensions.fav", safeGet(c, "extensions.fav", false));
-      const dateAdded = Number(c.date_added || 0) || 0;
-      const lastChat = Number(c.date_last_chat || 0) || 0;
-      const chatSize = Number(c.chat_size || 0) || 0;
-      const dataSize = Number(c.data_size || 0) || 0;
-
-      const row = {
-        id, shallow: !!c.shallow, name: String(c.name || ""),
-        avatar: c.avatar || null, chat: c.chat || "",
-        date_added: dateAdded, date_last_chat: lastChat,
-        chat_size: chatSize, data_size: dataSize,
-        tags: (() => {
-          const selfTags = normalizeTagsLower(c.tags || []);
-
-          // tag_map: avatar -> string[] (Map or plain object)
-          const avatarKey =
-            c.avatar ||
-            (c.data && c.data.avatar) ||
-            c.image ||
-            "";
-
-          // safe fetch: Map.get(...) OR object[...] OR fallback to [].
-          const fromMapRaw =
-            (tag_map && typeof tag_map.get === "function" && tag_map.get(avatarKey)) ||
-            (tag_map && typeof tag_map === "object" && tag_map[avatarKey]) ||
-            [];
-
-          const mapTags = normalizeTagsLower(fromMapRaw);
-
-          // Union, lowercased, deduped
-          return Array.from(new Set([...selfTags, ...mapTags]));
-        })(),
-
-        creator, creator_notes, description,
-        fav, raw: c
-      };
-      rows.push(row); byId.set(id, row);
-    }catch(e){
-      errors.push(e.message || String(e));
-    }
+let textIndexPromise = null;
+function ensureTextIndex(){
+  if (!textIndexPromise){
+    setLoadStatusText("Indexing descriptions…"); setProgress(0, "Starting…"); setBlocking(true);
+    textIndexPromise = callWorker("textIndex");
+    textIndexPromise
+      .catch(err => { textIndexPromise = null; console.error("[cards-backend] Text index failed:", err); })
+      .finally(() => setBlocking(false));
   }
+  return textIndexPromise;
+}
 
-  // DF map and inverted index
-  setLoadStatusText("Building tag indexes…"); setProgress(.28, "Inverted index");
-  const tagToIds = new Map(); // tag -> Set(ids)
-  const tagToDf = Object.create(null);
-  for (const r of rows){
-    const seen = new Set();
-    for (const t of r.tags){
-      if (seen.has(t)) continue;
-      seen.add(t);
-      let s = tagToIds.get(t);
-      if (!s){ s = new Set(); tagToIds.set(t, s); }
-      s.add(r.id);
-      tagToDf[t] = (tagToDf[t] || 0) + 1;
-    }
-  }
+/** Search box → Promise<Map<id, relevance>> of matching rows (BM25 in the worker, see searchText). */
+async function searchText(q, fieldWeights = null){
+  await ensureTextIndex();
+  return new Map(await callWorker("search", { q, fieldWeights }));
+}
 
-  // Compute idf + Σidf + tagCount (k)
-  setLoadStatusText("Computing rarity (Σidf)…"); setProgress(.44, "IDF & rarity");
-  const idf = computeIdf(tagToDf, rows.length);
-  for (const r of rows){
-    let sum = 0;
-    for (const t of r.tags) sum += (idf[t] || 0);
-    r.tag_count = r.tags.length;
-    r.sigma_idf = sum;
-  }
+/**
+ * Search relevance and similarity breakdowns for one row (worker side, where the text index lives):
+ * { q, fieldWeights } → explainSearch, { refId, simOpts } → explainSimilarity. → Promise<{ search, similarity }>
+ */
+async function explain(id, { q = "", fieldWeights = null, refId = null, simOpts = null } = {}){
+  if (q || simOpts?.includeText) await ensureTextIndex();
+  return callWorker("explain", { id, q, fieldWeights, refId, simOpts });
+}
 
-  // Name/creator tiny search index (token → ids)
-  setLoadStatusText("Indexing names & creators…"); setProgress(.58, "String index");
-  const tokenMap = new Map();
-  const addTok = (tok, id)=>{
-    tok = tok.trim(); if (!tok) return;
-    let s = tokenMap.get(tok); if (!s){ s = new Set(); tokenMap.set(tok, s); }
-    s.add(id);
-  };
-  for (const r of rows){
-    const nameToks = String(r.name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
-    const creatorToks = String(r.creator).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
-    for (const t of new Set([...nameToks, ...creatorToks])) addTok(t, r.id);
-  }
+/** Library clusters (spherical k-means in the worker, see clusterLibrary) behind the blocking overlay. */
+async function clusters({ k = 12, alpha = 0.6 } = {}){
+  if (alpha < 1) await ensureTextIndex();
+  setLoadStatusText("Clustering…"); setProgress(0, "Starting…"); setBlocking(true);
+  try { return await callWorker("clusters", { k, alpha }); }
+  finally { setBlocking(false); }
+}
 
-  // tag_map normalization (optional use by UI)
-  const assetToTags = Object.create(null);
-  for (const [k, arr] of Object.entries(tag_map || {})){
-    assetToTags[k] = Array.isArray(arr) ? arr.map(normalizeTag).filter(Boolean) : [];
-    for (const t of assetToTags[k]) tagUniverse.add(t);
-  }
+/** 2D library map (PCA + neighbour-graph layout in the worker, see layoutLibrary) → { ids, x, y, skipped } */
+async function layout({ alpha = 0.6 } = {}){
+  if (alpha < 1) await ensureTextIndex();
+  setLoadStatusText("Building the map…"); setProgress(0, "Starting…"); setBlocking(true);
+  try { return await callWorker("layout", { alpha }); }
+  finally { setBlocking(false); }
+}
 
-  // Final store
-  const store = {
-    rows, byId, tagToIds, idf, tagUniverse: Array.from(tagUniverse).sort(),
-    tokenMap, assetToTags, errors
-  };
+/** Similarity ranking in the worker; refId is one id or a list of them, opts as combinedSimilarity plus { minShared, limit, negatives }. */
+async function similar(refId, opts = {}){
+  if (opts.includeText) await ensureTextIndex();
+  return callWorker("similar", { refId, ...opts });
+}
 
-  setLoadStatusText("Finalizing…"); setProgress(.72, "Warming caches");
+/* =============================== Channel =============================== */
 
-  // Potential warmup (no-op hooks here, reserved for future)
-  const t1 = now();
-  console.log(`[cards-backend] Store built in ${(t1 - t0).toFixed(1)}ms: ${rows.length} rows, ${store.tagUniverse.length} tags`);
-  return store;
+const SESSION = new URLSearchParams(location.search).get("session");
+const HELLO_TIMEOUT_MS = 1500;
+const LIBRARY_TIMEOUT_MS = 120000;
+const DETAILS_TIMEOUT_MS = 30000;
+const HEARTBEAT_MS = 2000;
+const PRODUCER_TIMEOUT_MS = 6500; // ~3 missed pings
+let rpc = null;
+let lobbyRpc = null;
+let producerTab = null; // { tabId, title, url, openedAt } of the SillyTavern tab that launched us
+let processed = false;
+let currentStore = null;
+let linkState = "connecting"; // connecting | live | lost
+let lastProducerSeen = 0;
+let hydrateEnabled = false;   // producer setting, from hello / settings events
+let hydrating = false;
+
+/** Show which SillyTavern tab this Powersearch tab belongs to. */
+function showProducerTab(tab){
+  producerTab = tab || null;
+  const el = $("[data-session-link]");
+  if (!tab){ text(el, ""); return; }
+  const label = `${tab.title || "SillyTavern"} · tab ${String(tab.tabId).slice(0, 8)}`;
+  text(el, `Linked to ${label}`);
+  if (el) el.title = `${tab.url || ""}\nsession ${SESSION}\nST tab ${tab.tabId}`;
+  document.title = `Character PowerSearch — ${tab.title || "SillyTavern"}`;
 }
 
-/* ========================= Expressions (parsers) ========================= */
-
-/** Boolean tag expression: supports quoted tags, AND/OR/NOT, &, |, !, parentheses. */
-function parseBoolExpr(input){
-  const s = String(input || "").trim();
-  if (!s) return { eval: (_store, _id, r) => true, ast: null };
-  // Tokenize quoted strings and operators
-  const tokens = [];
-  let i = 0;
-  while (i < s.length){
-    const ch = s[i];
-    if (/\s/.test(ch)){ i++; continue; }
-    if (ch === '"' || ch === "'"){
-      const q = ch; i++;
-      let buf = "";
-      while (i < s.length && s[i] !== q){ buf += s[i++]; }
-      i++; tokens.push({type:"tag", val: normalizeTag(buf)});
-      continue;
-    }
-    if (/[()]/.test(ch)){ tokens.push({type:ch}); i++; continue; }
-    if (/[!&|]/.test(ch)){
-      tokens.push({type: ch === "!" ? "NOT" : (ch === "&" ? "AND" : "OR")});
-      i++; continue;
-    }
-    // words: AND OR NOT / bare tag (until space or operator)
-    let j = i;
-    while (j < s.length && !/[\s()!&|]/.test(s[j])) j++;
-    const word = s.slice(i, j);
-    const up = word.toUpperCase();
-    if (up === "AND" || up === "OR" || up === "NOT") tokens.push({type: up});
-    else tokens.push({type:"tag", val: normalizeTag(word)});
-    i = j;
-  }
-  // Shunting-yard to RPN
-  const prec = { "NOT":3, "AND":2, "OR":1 };
-  const out = []; const ops = [];
-  for (const t of tokens){
-    if (t.type === "tag") out.push(t);
-    else if (t.type === "NOT" || t.type === "AND" || t.type === "OR"){
-      while (ops.length){
-        const top = ops[ops.length-1];
-        if ((top.type === "NOT" || top.type === "AND" || top.type === "OR") && prec[top.type] >= prec[t.type]) out.push(ops.pop());
-        else break;
-      }
-      ops.push(t);
-    } else if (t.type === "(") ops.push(t);
-    else if (t.type === ")"){
-      while (ops.length && ops[ops.length-1].type !== "(") out.push(ops.pop());
-      if (ops.length && ops[ops.length-1].type === "(") ops.pop();
-    }
+/** Disconnected banner in the results header (null hides it). */
+function showLinkBanner(msg){
+  let el = $("[data-link-banner]");
+  if (!el){
+    const head = $(".results-head");
+    if (!head) return;
+    el = document.createElement("div");
+    el.className = "link-banner";
+    el.setAttribute("data-link-banner", "");
+    el.setAttribute("role", "status");
+    head.prepend(el);
   }
-  while (ops.length) out.push(ops.pop());
-
-  return {
-    ast: out,
-    eval: (store, _id, row) => {
-      const stack = [];
-      for (const n of out){
-        if (n.type === "tag"){
-          stack.push(row.tags.includes(n.val));
-        } else if (n.type === "NOT"){
-          const a = stack.pop() || false; stack.push(!a);
-        } else if (n.type === "AND"){
-          const b = stack.pop() || false, a = stack.pop() || false; stack.push(a && b);
-        } else if (n.type === "OR"){
-          const b = stack.pop() || false, a = stack.pop() || false; stack.push(a || b);
-        }
-      }
-      return !!stack.pop();
-    }
-  };
+  el.hidden = !msg;
+  text(el, msg || "");
 }
 
-/** Weights assignment parser: 'weight("Female") = 0.3; weight("obscure")=2.0' → Map */
-function parseWeights(input){
-  const s = String(input || "").trim();
-  const weights = new Map();
-  if (!s) return weights;
-  const re = /weight\s*\(\s*("([^"]+)"|'([^']+)')\s*\)\s*=\s*([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)/g;
-  let m;
-  while ((m = re.exec(s))){
-    const tag = normalizeTag(m[2] || m[3] || "");
-    const val = parseFloat(m[4]);
-    if (tag) weights.set(tag, isFinite(val) ? val : 0);
+/** "Indexing full cards" pill in the results header (null hides it). */
+function showHydratePill(done, total){
+  let el = $("[data-hydrate-pill]");
+  if (!el){
+    const head = $(".results-head"); // not .metrics: the SPA rebuilds that on every apply
+    if (!head) return;
+    el = document.createElement("span");
+    el.className = "pill micro";
+    el.setAttribute("data-hydrate-pill", "");
+    el.title = "Fetching personality, scenario, greetings, examples and system prompts from SillyTavern";
+    el.style.marginTop = "6px";
+    head.append(el);
   }
-  return weights;
+  el.hidden = done == null;
+  if (done != null) text(el, `Indexing full cards ${done}/${total}`);
 }
 
-const STOPWORDS = new Set([
-  "a","an","the","and","or","but","if","to","in","on","with","for","of","at",
-  "by","from","up","out","over","under","then","so","than","too","very","can",
-  "will","just","is","are","was","were","be","been","being","have","has","had",
-  "do","does","did","i","you","he","she","it","we","they","them","this","that",
-  "these","those"
-]);
+function markProducerAlive(){ lastProducerSeen = Date.now(); }
+
+function onProducerLost(reason){
+  if (linkState !== "live") return;
+  console.warn("[cards-backend] Lost SillyTavern:", reason);
+  linkState = "lost";
+  hydrating = false;
+  showHydratePill(null);
+  rpc.setPeer(null); // a freshly loaded ST tab may answer from a different endpoint
+  showLinkBanner(`Disconnected from SillyTavern (${reason}). Chat and Details are unavailable until it comes back…`);
+  connect({ reconnect: true });
+}
 
-function tokenizeForIndex(text){
-  const raw = String(text)
-    .toLowerCase()
-    .split(/[^\p{L}\p{N}]+/u)
-    .filter(Boolean);
-
-  const toks = [];
-  for (let i = 0; i < raw.length; i++){
-    const w1 = raw[i]; if (!STOPWORDS.has(w1)) toks.push(w1);         // unigram
-    if (i + 1 < raw.length){
-      const w2 = raw[i+1];
-      if (!STOPWORDS.has(w1) && !STOPWORDS.has(w2)) toks.push(w1+" "+w2); // bigram
-    }
-  }
-  return toks; // duplicates kept for TF
+// Producer calls fail fast while disconnected instead of waiting out their timeouts
+function callProducer(method, params, opts){
+  if (linkState !== "live")
+    return Promise.reject(new RpcError(RpcErrorCode.DISCONNECTED, "Not connected to SillyTavern"));
+  return rpc.call(method, params, opts).then((res) => { markProducerAlive(); return res; });
 }
 
+/* --------------------------- Tag mapping --------------------------- */
 
-function buildTextIndex(storeOrCharacters, {reportProgress=true} = {}){
-  // Determine rows from the argument only
-  let rows, cacheTarget = null;
-  if (storeOrCharacters && Array.isArray(storeOrCharacters.rows)) {
-    rows = storeOrCharacters.rows;
-    cacheTarget = storeOrCharacters;              // where we'll cache textIndex
-    if (cacheTarget.textIndex && cacheTarget.textIndex.built) return cacheTarget.textIndex;
-  } else if (Array.isArray(storeOrCharacters)) {
-    rows = storeOrCharacters.map(c => ({
-      id: c.id ?? c.name ?? String(Math.random()),
-      creator_notes: c?.data?.creator_notes || "",
-      description:   c?.data?.description   || ""
-    }));
-  } else {
-    console.error("[buildTextIndex] invalid input:", storeOrCharacters);
-    return { idf:new Map(), vecs:new Map(), built:true, docs:0, vocabSize:0 };
-  }
+const TAG_MAPPING_KEY = "cards.tagMapping";
 
-  if (reportProgress){ setLoadStatusText("Indexing descriptions…"); setProgress(.76, "Token DF pass"); }
+function loadTagMapping(){
+  try { return normalizeTagMapping(JSON.parse(localStorage.getItem(TAG_MAPPING_KEY) || "null")); }
+  catch { return normalizeTagMapping(null); }
+}
 
-  // Collect per-doc TF and DF with weighting (desc 2× vs notes 1×)
-  const df = new Map();
-  const docs = [];
-  let totalLen = 0;
+/** Save a new { aliases, parents } mapping and re-tag the library with it (worker + mirror). */
+async function setTagMapping(input){
+  const mapping = normalizeTagMapping(input);
+  localStorage.setItem(TAG_MAPPING_KEY, JSON.stringify({ aliases: mapping.aliases, parents: mapping.parents }));
+  if (!currentStore) return mapping;
+  swapStore(hydrateSnapshot(await callWorker("setTagMapping", mapping)), { retagged: true });
+  return mapping;
+}
 
-  for (const r of rows){
-    const notes = String(r.creator_notes || "");
-    const desc  = String(r.description   || "");
-    const weighted = (notes + " " + notes + " " + desc + " " + desc).trim();
+// Replace the mirror under the existing facade; the SPA re-applies on cards:updated
+function swapStore(store, detail){
+  currentStore = store;
+  window.CardsBackend.store = store;
+  window.CardsBackend.query = makeQueryAPI(store);
+  window.dispatchEvent(new CustomEvent("cards:updated", { detail: { store, ...detail } }));
+}
 
-    const toks = tokenizeForIndex(weighted);
-    const tf = new Map();
-    for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+async function ingest(payload){
+  // Start blocking + progress
+  setLoadStatusText("loading…"); setProgress(.05, "Parsing incoming payload…"); setBlocking(true);
+  try {
+    const store = hydrateSnapshot(await callWorker("ingest", { payload, tagMapping: loadTagMapping() }));
+    textIndexPromise = null;
 
-    const seen = new Set();
-    for (const t of tf.keys()){
-      if (seen.has(t)) continue;
-      seen.add(t);
-      df.set(t, (df.get(t) || 0) + 1);
+    // Re-ingest after a reconnect
+    if (window.CardsBackend){
+      swapStore(store, { reloaded: true });
+      setProgress(.98, "Ready"); setLoadStatusText("Ready"); setTimeout(()=>setBlocking(false), 80);
+      return;
+    }
+    currentStore = store;
+
+    // Expose & notify
+    window.CardsBackend = {
+      store,
+      query: makeQueryAPI(store),
+      parseBoolExpr: (input) => parseBoolExpr(input, { tagMapping: currentStore?.tagMapping }),
+      parseWeights,
+      parseScoreFormula,
+      foldText,
+      get tagMapping(){ return currentStore?.tagMapping || loadTagMapping(); },
+      setTagMapping,
+      setBlocking, setProgress, setLoadStatusText,
+      html: rowHtml,
+      ensureTextIndex,
+      similar,
+      neighborGraphCovers,
+      NEIGHBOR_K,
+      /** Neighbour-graph build progress { done, total } (null before the first chunk) */
+      get graphStatus(){ return graphStatus; },
+      explain,
+      /** Near-duplicate groups (MinHash/LSH in the worker) → Promise<[{ ids, score, pairs }]> */
+      duplicates: (threshold) => callWorker("duplicates", { threshold }),
+      clusters,
+      layout,
+      diffWords,
+      /** Per-field BM25 in the worker: weights = { [field]: weight } → Promise<Map<id, score>> */
+      searchFields: (q, weights) => callWorker("searchFields", { q, weights }).then(pairs => new Map(pairs)),
+      parseSearchQuery,
+      searchText,
+      clearCache: () => callWorker("clearCache"),
+      rpc,
+      session: SESSION,
+      get producerTab(){ return producerTab; },
+      /** Full (unshallowed) character from the producer: { id, data } */
+      requestDetails: (id) => callProducer("getDetails", { id }, { timeoutMs: DETAILS_TIMEOUT_MS }),
+      selectCharacter: (id) => callProducer("selectCharacter", { id }),
+      get connected(){ return linkState === "live"; },
+    };
+
+    // Dispatch event for the SPA to hook into
+    window.dispatchEvent(new CustomEvent("cards:ready", { detail: { store } }));
+
+    // Back-compat hook
+    if (typeof window.afterData === "function"){
+      try { window.afterData(store); } catch (e){ console.error("[cards-backend] afterData error", e); }
     }
 
-    docs.push({ id: r.id, tf, len: toks.length });
-    totalLen += toks.length;
+    setProgress(.98, "Ready"); setLoadStatusText("Ready"); setTimeout(()=>setBlocking(false), 80);
+  } catch (err){
+    console.error("[cards-backend] Ingest failed:", err);
+    setLoadStatusText("Failed to load data"); setProgress(1, String(err?.message || err));
+    // Unblock but keep overlay briefly to show error
+    setTimeout(()=>setBlocking(false), 600);
+    // Notify producer about error for visibility
+    rpc?.notify("ingestError", { message: String(err?.message || err) });
   }
+}
 
-  // IDF with cutoffs (drop DF==1 and DF/N > 1%)
-  if (reportProgress){ setProgress(.82, "Computing text IDF"); }
-  const N = Math.max(1, docs.length);
-  const idf = new Map();
-  for (const [t, dfi] of df.entries()){
-    if (dfi <= 1) continue;
-    if ((dfi / N) > 0.01) continue;
-    idf.set(t, Math.log(1 + (N - dfi + 0.5) / (dfi + 0.5)));
-  }
+/* ---------------------------- Hydration ---------------------------- */
 
-  // BM25 vectors
-  if (reportProgress){ setProgress(.86, "Building BM25 vectors"); }
-  const vecs = new Map();
-  const k1 = 1.5, b = 0.75;
-  const avgdl = totalLen / N;
-
-  for (const {id, tf, len} of docs){
-    const m = new Map();
-    for (const [t, f] of tf.entries()){
-      const itf = idf.get(t);
-      if (!itf) continue;
-      const denom = f + k1 * (1 - b + b * (len / avgdl));
-      const w = itf * (f * (k1 + 1)) / denom;
-      m.set(t, w);
-    }
-    vecs.set(id, m);
+/** Ask the producer for full-card fields of rows that don't have them (the worker cache keeps earlier runs). */
+async function startHydration(){
+  if (!hydrateEnabled || hydrating || !processed || linkState !== "live") return;
+  hydrating = true;
+  try {
+    const ids = await callWorker("missingFields");
+    if (!ids.length){ hydrating = false; return; }
+    showHydratePill(0, ids.length);
+    await callProducer("hydrate", { ids });
+  } catch (err){
+    console.warn("[cards-backend] Hydration request failed:", err);
+    hydrating = false;
+    showHydratePill(null);
   }
-
-  const out = { idf, vecs, built:true, docs:N, vocabSize:idf.size };
-  if (cacheTarget) cacheTarget.textIndex = out;  // cache only on the passed-in store
-  return out;
 }
 
-
-
-
-
-
-/* ============================ Query helpers ============================ */
-
-function makeQueryAPI(store){
-  function scoreRow(row, weights){
-    if (!weights || !weights.size) return 0;
-    let s = 0;
-    for (const t of row.tags){
-      const w = weights.get(t);
-      if (w) s += w;
-    }
-    return s;
+async function ingestHydrated({ items, done, total } = {}){
+  if (!currentStore || !hydrating) return;
+  try {
+    applyHydration(currentStore, items);
+    await callWorker("hydrate", items);
+    textIndexPromise = null; // rebuilt with the new fields on next use
+  } catch (err){
+    console.error("[cards-backend] Hydrated batch failed:", err);
   }
-  return {
-    tagSimilarity(a, b, { mode = "jaccard", weightTags = true, idfMul = 1 } = {}){
-      const A = new Set(a.tags);
-      const B = new Set(b.tags);
-
-      if (mode === "none") return 0;
-
-      if (mode === "overlap"){
-        // IDF-boosted overlap: sum weights on intersection
-        // weight = 1 + IDF*(idfMul - 1) when weightTags, else 1
-        let s = 0;
-        for (const t of A){
-          if (!B.has(t)) continue;
-          if (weightTags){
-            const idf = store.idf[t] || 0;
-            s += 1 + idf * (idfMul - 1);
-          } else {
-            s += 1;
-          }
-        }
-        return s;
-      }
-
-      if (mode === "jaccard"){
-        let inter = 0, uni = new Set([...A, ...B]).size;
-        for (const t of A) if (B.has(t)) inter++;
-        return uni ? inter / uni : 0;
-      }
-
-      if (mode === "dice"){
-        let inter = 0;
-        for (const t of A) if (B.has(t)) inter++;
-        const total = A.size + B.size;
-        return total ? (2 * inter) / total : 0;
-      }
-
-      if (mode === "tanimoto"){
-        // Tanimoto is equivalent to Jaccard for binary sets
-        let inter = 0, uni = new Set([...A, ...B]).size;
-        for (const t of A) if (B.has(t)) inter++;
-        return uni ? inter / uni : 0;
-      }
-
-      if (mode === "ochiai"){
-        let inter = 0;
-        for (const t of A) if (B.has(t)) inter++;
-        const denom = Math.sqrt(A.size * B.size);
-        return denom ? inter / denom : 0;
-      }
-
-      if (mode === "simpson"){
-        let inter = 0;
-        for (const t of A) if (B.has(t)) inter++;
-        const minSize = Math.min(A.size, B.size);
-        return minSize ? inter / minSize : 0;
-      }
-
-      if (mode === "braun-blanquet"){
-        let inter = 0;
-        for (const t of A) if (B.has(t)) inter++;
-        const maxSize = Math.max(A.size, B.size);
-        return maxSize ? inter / maxSize : 0;
-      }
-
-      if (mode === "hamming"){
-        // Hamming distance (normalized): count of differing positions
-        const union = new Set([...A, ...B]);
-        let diff = 0;
-        for (const t of union){
-          if (A.has(t) !== B.has(t)) diff++;
-        }
-        return union.size ? 1 - (diff / union.size) : 1;
-      }
-
-      if (mode === "manhattan"){
-        // Manhattan distance (normalized): sum of absolute differences
-        const union = new Set([...A, ...B]);
-        let dist = 0;
-        for (const t of union){
-          const aHas = A.has(t) ? 1 : 0;
-          const bHas = B.has(t) ? 1 : 0;
-          dist += Math.abs(aHas - bHas);
-        }
-        return union.size ? 1 - (dist / union.size) : 1;
-      }
-
-      if (mode === "euclidean"){
-        // Euclidean distance (normalized): sqrt of sum of squared differences
-        const union = new Set([...A, ...B]);
-        let dist = 0;
-        for (const t of union){
-          const aHas = A.has(t) ? 1 : 0;
-          const bHas = B.has(t) ? 1 : 0;
-          dist += Math.pow(aHas - bHas, 2);
-        }
-        const maxDist = Math.sqrt(union.size);
-        return maxDist ? 1 - (Math.sqrt(dist) / maxDist) : 1;
-      }
-
-      // Default: cosine over sparse tag vectors (optionally IDF-weighted)
-      const wa = new Map(), wb = new Map();
-      for (const t of A) wa.set(t, weightTags ? (store.idf[t] || 1) : 1);
-      for (const t of B) wb.set(t, weightTags ? (store.idf[t] || 1) : 1);
-      return cosineSimSparse(wa, wb);
-    },
-
-    textSimilarityById(aId, bId, { mode = "cosine", ngramMin = 1, ngramMax = 3 } = {}){
-      if (mode === "none") return 0;
-
-      const A = store.byId.get(aId), B = store.byId.get(bId);
-      if (!A || !B) return 0;
-
-      const textA = (A.creator_notes || "") + " " + (A.description || "");
-      const textB = (B.creator_notes || "") + " " + (B.description || "");
-
-      if (!textA.trim() || !textB.trim()) return 0;
-
-      if (mode.startsWith("cosine")){
-        // Extract n-gram range from mode name
-        let minN = ngramMin, maxN = ngramMax;
-        if (mode.includes("-1gram")) { minN = 1; maxN = 1; }
-        else if (mode.includes("-2gram")) { minN = 1; maxN = 2; }
-        else if (mode.includes("-3gram")) { minN = 1; maxN = 3; }
-        else if (mode.includes("-4gram")) { minN = 1; maxN = 4; }
-
-        const toksA = tokenizeText(textA, { minN, maxN });
-        const toksB = tokenizeText(textB, { minN, maxN });
-
-        const tfA = new Map(), tfB = new Map();
-        for (const t of toksA) tfA.set(t, (tfA.get(t) || 0) + 1);
-        for (const t of toksB) tfB.set(t, (tfB.get(t) || 0) + 1);
-
-        return cosineSimSparse(tfA, tfB);
-      }
-
-      if (mode.startsWith("bm25")){
-        // Use existing BM25 index for BM25 similarity
-        const ti = store.textIndex?.built ? store.textIndex : buildTextIndex(store, {reportProgress:true});
-        const va = ti.vecs.get(aId), vb = ti.vecs.get(bId);
-        return cosineSimSparse(va, vb);
-      }
-
-      if (mode.startsWith("jaccard")){
-        let minN = ngramMin, maxN = ngramMax;
-        if (mode.includes("-2gram")) { minN = 2; maxN = 2; }
-        else if (mode.includes("-3gram")) { minN = 3; maxN = 3; }
-        else if (mode.includes("-4gram")) { minN = 4; maxN = 4; }
-        else if (mode === "jaccard-text") { minN = 1; maxN = 1; }
-
-        const setA = new Set(tokenizeText(textA, { minN, maxN }));
-        const setB = new Set(tokenizeText(textB, { minN, maxN }));
-        const inter = new Set([...setA].filter(x => setB.has(x))).size;
-        const union = new Set([...setA, ...setB]).size;
-        return union ? inter / union : 0;
-      }
-
-      if (mode === "dice-text"){
-        const setA = new Set(tokenizeText(textA, { minN: 1, maxN: 1 }));
-        const setB = new Set(tokenizeText(textB, { minN: 1, maxN: 1 }));
-        const inter = new Set([...setA].filter(x => setB.has(x))).size;
-        return (setA.size + setB.size) ? (2 * inter) / (setA.size + setB.size) : 0;
-      }
-
-      if (mode === "overlap-text"){
-        const setA = new Set(tokenizeText(textA, { minN: 1, maxN: 1 }));
-        const setB = new Set(tokenizeText(textB, { minN: 1, maxN: 1 }));
-        return new Set([...setA].filter(x => setB.has(x))).size;
-      }
-
-      if (mode === "levenshtein"){
-        return this.levenshteinSimilarity(textA, textB);
-      }
-
-      if (mode === "jaro-winkler"){
-        return this.jaroWinklerSimilarity(textA, textB);
-      }
-
-      if (mode === "lcs"){
-        return this.lcsSimilarity(textA, textB);
-      }
+  showHydratePill(done, total);
+  if (done >= total){
+    hydrating = false;
+    showHydratePill(null);
+    window.dispatchEvent(new CustomEvent("cards:updated", { detail: { store: currentStore, hydrated: total } }));
+  }
+}
 
-      if (mode === "semantic-hash"){
-        return this.semanticHashSimilarity(textA, textB);
-      }
+async function ingestDelta(delta){
+  try {
+    const { counts, patch } = await callWorker("delta", delta);
+    if (!currentStore) return;
+    applyRowPatch(currentStore, patch);
+    textIndexPromise = null; // worker dropped its text index too
+    window.dispatchEvent(new CustomEvent("cards:updated", { detail: { store: currentStore, ...counts } }));
+    if (counts.added || counts.updated) startHydration();
+  } catch (err){
+    console.error("[cards-backend] Delta failed:", err);
+  }
+}
 
-      // Default: cosine with TF-IDF
-      const ti = store.textIndex?.built ? store.textIndex : buildTextIndex(store, {reportProgress:true});
-      const va = ti.vecs.get(aId), vb = ti.vecs.get(bId);
-      return cosineSimSparse(va, vb);
-    },
-
-    levenshteinSimilarity(a, b){
-      const maxLen = Math.max(a.length, b.length);
-      if (maxLen === 0) return 1;
-      const dist = this.levenshteinDistance(a, b);
-      return 1 - (dist / maxLen);
-    },
-
-    levenshteinDistance(a, b){
-      const matrix = Array(b.length + 1).fill(null).map(() => Array(a.length + 1).fill(null));
-      for (let i = 0; i <= a.length; i++) matrix[0][i] = i;
-      for (let j = 0; j <= b.length; j++) matrix[j][0] = j;
-      for (let j = 1; j <= b.length; j++){
-        for (let i = 1; i <= a.length; i++){
-          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-          matrix[j][i] = Math.min(
-            matrix[j][i - 1] + 1,
-            matrix[j - 1][i] + 1,
-            matrix[j - 1][i - 1] + cost
-          );
-        }
-      }
-      return matrix[b.length][a.length];
-    },
-
-    jaroWinklerSimilarity(a, b){
-      const jaro = this.jaroSimilarity(a, b);
-      if (jaro < 0.7) return jaro;
-      let prefix = 0;
-      for (let i = 0; i < Math.min(a.length, b.length, 4); i++){
-        if (a[i] === b[i]) prefix++;
-        else break;
-      }
-      return jaro + (0.1 * prefix * (1 - jaro));
-    },
-
-    jaroSimilarity(a, b){
-      if (a === b) return 1;
-      const len1 = a.length, len2 = b.length;
-      if (len1 === 0 || len2 === 0) return 0;
-      const matchWindow = Math.floor(Math.max(len1, len2) / 2) - 1;
-      const matches1 = new Array(len1).fill(false);
-      const matches2 = new Array(len2).fill(false);
-      let matches = 0, transpositions = 0;
-      for (let i = 0; i < len1; i++){
-        const start = Math.max(0, i - matchWindow);
-        const end = Math.min(i + matchWindow + 1, len2);
-        for (let j = start; j < end; j++){
-          if (matches2[j] || a[i] !== b[j]) continue;
-          matches1[i] = matches2[j] = true;
-          matches++;
-          break;
-        }
-      }
-      if (matches === 0) return 0;
-      let k = 0;
-      for (let i = 0; i < len1; i++){
-        if (!matches1[i]) continue;
-        while (!matches2[k]) k++;
-        if (a[i] !== b[k]) transpositions++;
-        k++;
-      }
-      return (matches / len1 + matches / len2 + (matches - transpositions / 2) / matches) / 3;
-    },
-
-    lcsSimilarity(a, b){
-      const lcs = this.longestCommonSubsequence(a, b);
-      const maxLen = Math.max(a.length, b.length);
-      return maxLen ? lcs / maxLen : 1;
-    },
-
-    longestCommonSubsequence(a, b){
-      const m = a.length, n = b.length;
-      const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-      for (let i = 1; i <= m; i++){
-        for (let j = 1; j <= n; j++){
-          if (a[i - 1] === b[j - 1]){
-            dp[i][j] = dp[i - 1][j - 1] + 1;
-          } else {
-            dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-          }
-        }
-      }
-      return dp[m][n];
-    },
-
-    semanticHashSimilarity(a, b){
-      const hashA = this.simpleSemanticHash(a);
-      const hashB = this.simpleSemanticHash(b);
-      let matches = 0;
-      for (let i = 0; i < Math.min(hashA.length, hashB.length); i++){
-        if (hashA[i] === hashB[i]) matches++;
-      }
-      return Math.max(hashA.length, hashB.length) ? matches / Math.max(hashA.length, hashB.length) : 0;
-    },
-
-    simpleSemanticHash(text){
-      const words = text.toLowerCase().split(/\W+/).filter(Boolean);
-      const features = new Map();
-      for (const word of words){
-        features.set(word, (features.get(word) || 0) + 1);
-      }
-      const sorted = Array.from(features.entries()).sort((a, b) => b[1] - a[1]);
-      return sorted.slice(0, 32).map(([word]) => word).join('');
-    },
-
-
-    /** Combined similarity: alpha*tag + (1-alpha)*text
-        opts: { tagMode:'jaccard'|'cosine', descMode:'cosine', weightTags:true, includeText:true, alpha:0.6, ngramMin:1, ngramMax:3 } */
-    combinedSimilarity(aId, bId, opts = {}){
-      const {
-        tagMode = 'cosine',
-        descMode = 'cosine',
-        weightTags = true,
-        includeText = true,
-        includeTags = true,
-        alpha = 0.6,
-        idfMul = 1,
-        ngramMin = 1,
-        ngramMax = 3
-      } = opts;
-
-      const A = store.byId.get(aId), B = store.byId.get(bId);
-      if (!A || !B) return 0;
-
-      let sTag = 0, sText = 0;
-
-      if (includeTags){
-        sTag = this.tagSimilarity(A, B, { mode: tagMode, weightTags, idfMul });
-      }
-      if (includeText){
-        sText = this.textSimilarityById(aId, bId, { mode: descMode, ngramMin, ngramMax });
-      }
+/**
+ * Handshake until a producer answers, then pull the library. On reconnect the library is only
+ * re-pulled when a different ST page answers (same tab + same page load kept streaming deltas).
+ */
+let connecting = null;
+function connect({ reconnect = false } = {}){
+  if (!connecting) connecting = handshake(reconnect).finally(() => { connecting = null; });
+  return connecting;
+}
 
-      if (includeTags && includeText) return alpha * sTag + (1 - alpha) * sText;
-      if (includeTags) return sTag;
-      if (includeText) return sText;
-      return 0;
-    },
-
-
-    /** Filter rows by boolean tag expression (string), then optional tag count range and rarity range. */
-    filter({ expr, tagCountMin = 0, tagCountMax = 1e9, rarityMin = -1e9, rarityMax = 1e9 }){
-      const be = parseBoolExpr(expr);
-      const out = [];
-      for (const r of store.rows){
-        if (!be.eval(store, r.id, r)) continue;
-        if (r.tag_count < tagCountMin || r.tag_count > tagCountMax) continue;
-        if (r.sigma_idf < rarityMin || r.sigma_idf > rarityMax) continue;
-        out.push(r);
-      }
-      return out;
-    },
-    /** Sort rows with weights (affects score only); accepts field keys too (name, creator, tag_count, sigma_idf, date_added, date_last_chat, chat_size, data_size) */
-    sort(rows, { by = "score", dir = "desc", weightsInput = "" } = {}){
-      const weights = parseWeights(weightsInput);
-      const mul = (dir === "asc" ? 1 : -1);
-      rows.sort((a,b)=>{
-        if (by === "score"){
-          const sa = scoreRow(a, weights), sb = scoreRow(b, weights);
-          return mul * (sa - sb || a.name.localeCompare(b.name));
-        } else if (by === "name" || by === "creator"){
-          return mul * (String(a[by]||"").localeCompare(String(b[by]||"")));
-        } else {
-          return mul * ((a[by]||0) - (b[by]||0));
-        }
-      });
-      return rows;
-    },
-    /** Simple token search on name/creator */
-    searchTokens(q){
-      const toks = String(q||"").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
-      if (!toks.length) return new Set(store.rows.map(r=>r.id));
-      let current;
-      for (const t of toks){
-        const s = store.tokenMap.get(t) || new Set();
-        current = current ? new Set([...current].filter(x => s.has(x))) : new Set(s);
-        if (!current.size) break;
+async function handshake(reconnect){
+  if (!reconnect){ setLoadStatusText("Waiting for SillyTavern…"); setProgress(.02, "Handshake"); }
+  let hello;
+  for (;;){
+    try {
+      hello = await rpc.call("hello", { protocol: PROTOCOL_VERSION, role: "consumer" }, { timeoutMs: HELLO_TIMEOUT_MS });
+      console.debug("[cards-backend] Producer hello:", hello);
+      break;
+    } catch (err){
+      if (err.code === RpcErrorCode.TIMEOUT){
+        // Producer not up yet (or gone); keep knocking, and ask any ST tab in the lobby to adopt us
+        lobbyRpc?.notify("orphan", { session: SESSION, tabId: producerTab?.tabId || null });
+        continue;
       }
-      return current || new Set();
+      console.error("[cards-backend] Handshake failed:", err);
+      const msg = err.code === RpcErrorCode.VERSION
+        ? "Extension version mismatch — reload the SillyTavern tab and reopen Powersearch"
+        : String(err.message || err);
+      if (reconnect){ showLinkBanner(`Cannot reconnect to SillyTavern: ${msg}`); return; }
+      setLoadStatusText("Cannot connect to SillyTavern");
+      setProgress(1, msg);
+      return;
     }
-  };
-}
-
-/* =============================== Channel =============================== */
-
-const CHANNEL_NAME = "cards-data";
-let processed = false;
+  }
 
-function sendReady(){
+  const prev = producerTab;
+  const samePage = !!prev && prev.tabId === hello?.tab?.tabId && prev.openedAt === hello?.tab?.openedAt;
+  // Pin to the answering ST tab so nothing else on the channel can cross-wire us
+  if (hello?.tab?.tabId) rpc.setPeer(hello.tab.tabId);
+  showProducerTab(hello?.tab);
+  markProducerAlive();
+  linkState = "live";
+  hydrateEnabled = !!hello?.hydrate;
+  showLinkBanner(null);
+  if (reconnect && samePage){ startHydration(); return; }
+
+  setLoadStatusText(reconnect ? "Reconnected — refreshing library…" : "Receiving library…");
+  setProgress(.04, "Transferring characters");
+  if (reconnect) setBlocking(true);
+  let payload;
   try {
-    // post {type:'ps-ready'} on the same channel (producer listens to it)
-    channel?.postMessage({ type: "ps-ready" });
-  } catch {}
+    payload = await rpc.call("getLibrary", null, { timeoutMs: LIBRARY_TIMEOUT_MS });
+  } catch (err){
+    console.error("[cards-backend] getLibrary failed:", err);
+    setLoadStatusText("Failed to load data"); setProgress(1, String(err.message || err));
+    if (reconnect) setTimeout(()=>setBlocking(false), 600);
+    return;
+  }
+  processed = true;
+  await ingest(payload);
+  startHydration();
 }
 
 function attachChannel(){
@@ -1071,52 +648,43 @@ function attachChannel(){
     console.error("[cards-backend] BroadcastChannel not supported");
     return;
   }
-  window.channel = new BroadcastChannel(CHANNEL_NAME);
-  // handshake ASAP
-  setTimeout(sendReady, 0);
-
-  const channel = window.channel;
-
-  channel.onmessage = (ev) => {
-    const d = ev?.data;
-    // Ignore control/handshake messages
-    if (!d || (d.type && d.type !== "payload" && !d.characters)) return;
-    if (processed) { console.debug("[cards-backend] Payload already processed; ignoring subsequent broadcast"); return; }
-
-    // Start blocking + progress
-    setLoadStatusText("loading…"); setProgress(.05, "Parsing incoming payload…"); setBlocking(true);
-    try {
-      processed = true;
-      const store = buildStore(d);
-
-      // Expose & notify
-      window.CardsBackend = {
-        store,
-        query: makeQueryAPI(store),
-        parseBoolExpr,
-        parseWeights,
-        setBlocking, setProgress, setLoadStatusText,
-        ensureTextIndex: () => buildTextIndex(store, {reportProgress:true}), // <-- add this
-      };
-
-      // Dispatch event for the SPA to hook into
-      window.dispatchEvent(new CustomEvent("cards:ready", { detail: { store } }));
-
-      // Back-compat hook
-      if (typeof window.afterData === "function"){
-        try { window.afterData(store); } catch (e){ console.error("[cards-backend] afterData error", e); }
+  if (!SESSION){
+    console.error("[cards-backend] No ?session= in URL");
+    setLoadStatusText("No SillyTavern session");
+    setProgress(1, "Open Powersearch from the button in SillyTavern's character list.");
+    return;
+  }
+  window.channel = new BroadcastChannel(channelName(SESSION));
+  rpc = createRpc(window.channel, {
+    label: "cards-backend",
+    session: SESSION,
+    events: {
+      ping: markProducerAlive,
+      bye: () => onProducerLost("tab closed or reloaded"),
+      settings: ({ hydrate } = {}) => {
+        hydrateEnabled = !!hydrate;
+        if (hydrateEnabled) startHydration();
+        else { hydrating = false; showHydratePill(null); }
+      },
+      hydrated: (batch) => { markProducerAlive(); ingestHydrated(batch); },
+      // Live updates: patched in the worker, replayed on the mirror, no blocking overlay.
+      // The worker handles requests in order, so a delta sent after the payload lands after ingest.
+      delta: (d) => {
+        if (!processed){ console.debug("[cards-backend] Delta before payload; ignoring"); return; }
+        markProducerAlive();
+        ingestDelta(d);
       }
-
-      setProgress(.98, "Ready"); setLoadStatusText("Ready"); setTimeout(()=>setBlocking(false), 80);
-    } catch (err){
-      console.error("[cards-backend] Ingest failed:", err);
-      setLoadStatusText("Failed to load data"); setProgress(1, String(err?.message || err));
-      // Unblock but keep overlay briefly to show error
-      setTimeout(()=>setBlocking(false), 600);
-      // Notify producer about error for visibility
-      try{ channel?.postMessage({ type:"error", message: String(err?.message || err) }); }catch{}
     }
-  };
+  });
+  lobbyRpc = createRpc(new BroadcastChannel(channelName(LOBBY)), { label: "cards-backend lobby", session: LOBBY });
+
+  // Heartbeat: ping the producer (it drops sessions that go quiet) and watch for its pings
+  setInterval(() => {
+    rpc.notify("ping", { at: Date.now() });
+    if (linkState === "live" && Date.now() - lastProducerSeen > PRODUCER_TIMEOUT_MS) onProducerLost("no heartbeat");
+  }, HEARTBEAT_MS);
+
+  connect();
 }
 
 /* ============================== Bootstrap ============================== */
@@ -1124,6 +692,7 @@ function attachChannel(){
 (function bootstrap(){
   ensureOverlay();
   setBlocking(true);
+  ensureWorker();
   // Allow apps to opt-in to listening before we attach (just in case)
   setTimeout(attachChannel, 0);
 })();
@@ -0,0 +1,53 @@
+/**
+ * cards-cache.js
+ * Tiny IndexedDB key/value store for the indexing worker (also works on the main thread).
+ *
+ * - One database, one object store; values go through structured clone (Map/Set survive)
+ * - Every call degrades to a no-op (null / false) when IndexedDB is unavailable or fails,
+ *   so a broken cache only costs a full rebuild
+ */
+
+const DB_NAME = "st-char-powersearch";
+const DB_VERSION = 1;
+const STORE_NAME = "cache";
+
+let dbPromise = null;
+
+function openDb(){
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined"){ reject(new Error("IndexedDB not available")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(STORE_NAME)) req.result.createObjectStore(STORE_NAME);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function run(mode, fn){
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const req = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = tx.onabort = () => reject(tx.error || req.error);
+  }));
+}
+
+export async function cacheGet(key){
+  try { return (await run("readonly", s => s.get(key))) ?? null; }
+  catch (err){ console.warn("[cards-cache] get failed:", key, err); return null; }
+}
+
+export async function cachePut(key, value){
+  try { await run("readwrite", s => s.put(value, key)); return true; }
+  catch (err){ console.warn("[cards-cache] put failed:", key, err); return false; }
+}
+
+export async function cacheDelete(key){
+  try { await run("readwrite", s => s.delete(key)); return true; }
+  catch (err){ console.warn("[cards-cache] delete failed:", key, err); return false; }
+}
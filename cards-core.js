@@ -0,0 +1,3071 @@
+/**
+ * cards-core.js
+ * Pure data layer shared by the main thread (cards-backend.js) and the indexing worker (cards-worker.js).
+ *
+ * - No DOM access: safe to import from a Worker
+ * - Payload validation, row normalization, tag/name indexes, idf + Σidf
+ * - User tag mapping (aliases + parent tags) applied when rows get their tags and when rules are parsed
+ * - Live delta patching (applyDelta → row patch that both sides can replay with applyRowPatch)
+ * - Full-card fields (personality, scenario, greetings, …) from background hydration (applyHydration)
+ * - BM25 text index, per-field BM25 indexes over hydrated card fields, boolean/weights parsers,
+ *   query + similarity helpers
+ * - Search-box language ("phrases", -exclusions, OR) ranked by BM25 (searchText)
+ * - Trigram index over names and creators for typo-tolerant lookups (fuzzyNames)
+ * - Top-K neighbour graph (tag cosine + BM25) so rankSimilar doesn't rescan the library (neighborGraphBuilder)
+ * - Near-duplicate groups from MinHash/LSH over description shingles + tags (findDuplicates), word diffs
+ * - Spherical k-means clusters over tag + BM25 vectors, labelled by tag lift (clusterLibrary)
+ * - 2D library map: PCA, then a UMAP-style neighbour-graph layout (layoutLibrary)
+ *
+ * Long-running builders take an optional onProgress(p, msg, status) callback instead of touching the overlay.
+ */
+
+/* ============================= Utilities ============================= */
+
+// Bump when row normalization changes shape, so persisted caches built by older code are discarded
+export const STORE_VERSION = 6;
+
+export const now = () => (typeof performance !== "undefined" && performance.now) ? performance.now() : Date.now();
+
+export function normalizeTagsLower(arr){
+  if (!Array.isArray(arr)) return [];
+  const out = new Set();
+  for (let t of arr){
+    if (t == null) continue;
+    t = String(t).trim().toLowerCase();
+    if (t) out.add(t);
+  }
+  return Array.from(out);
+}
+
+export function hashString(s){
+  // DJB2-ish, deterministic 32-bit
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h) ^ s.charCodeAt(i);
+  return (h >>> 0).toString(36);
+}
+
+export function normalizeTag(t){
+  // UI shows quotes for spaces; internally normalize in a case-insensitive, trimmed form
+  if (typeof t !== "string") return "";
+  return t.trim().toLowerCase();
+}
+
+export function safeGet(obj, path, fallback){
+  try{
+    return path.split(".").reduce((o,p)=>o && o[p], obj) ?? fallback;
+  }catch{ return fallback; }
+}
+
+/* ============================ Tag mapping ============================ */
+
+/**
+ * User tag mapping: { aliases: { alias: canonical }, parents: { tag: [parent, …] } }.
+ * Aliases fold spelling variants into one tag ("scifi" → "sci-fi"); parents are implied tags
+ * ("elf" → "fantasy"), applied transitively, so a rule on a parent also matches its children.
+ * Plain data (it crosses to the worker and into the cache); `hash` identifies it.
+ */
+export function normalizeTagMapping(input){
+  const aliases = Object.create(null);
+  const parents = Object.create(null);
+  for (const [a, c] of Object.entries(input?.aliases || {})){
+    const from = normalizeTag(a), to = normalizeTag(c);
+    if (from && to && from !== to) aliases[from] = to;
+  }
+  for (const [t, ps] of Object.entries(input?.parents || {})){
+    const tag = normalizeTag(t);
+    const list = (Array.isArray(ps) ? ps : [ps]).map(normalizeTag).filter(p => p && p !== tag);
+    if (tag && list.length) parents[tag] = Array.from(new Set([...(parents[tag] || []), ...list]));
+  }
+  const sorted = (o) => Object.keys(o).sort().map(k => [k, o[k]]);
+  const hash = (Object.keys(aliases).length || Object.keys(parents).length)
+    ? hashString(JSON.stringify([sorted(aliases), sorted(parents)]))
+    : "";
+  return { aliases, parents, hash };
+}
+
+/** Canonical form of one (already normalized) tag; alias chains are followed, cycles stop. */
+export function canonicalTag(mapping, tag){
+  if (!mapping?.aliases) return tag;
+  // hasOwn: after a structured clone (cache, worker) these are plain objects with a prototype
+  let t = tag;
+  for (let i = 0; i < 16 && Object.hasOwn(mapping.aliases, t) && mapping.aliases[t] !== t; i++) t = mapping.aliases[t];
+  return t;
+}
+
+/** Canonicalize tags and add every implied ancestor; deduped, order of first appearance. */
+export function applyTagMapping(mapping, tags){
+  const out = new Set();
+  if (!mapping?.hash){ for (const t of tags) out.add(t); return Array.from(out); }
+  const queue = [];
+  for (const t of tags) queue.push(canonicalTag(mapping, t));
+  while (queue.length){
+    const t = queue.shift();
+    if (out.has(t)) continue;
+    out.add(t);
+    if (Object.hasOwn(mapping.parents, t)) for (const p of mapping.parents[t]) queue.push(canonicalTag(mapping, p));
+  }
+  return Array.from(out);
+}
+
+/* ========================= Schema validation ========================= */
+
+export function validatePayload(payload){
+  const errors = [];
+  if (!payload || typeof payload !== "object") errors.push("Payload must be an object");
+  const chars = payload.characters;
+  if (!Array.isArray(chars)) errors.push("`characters` must be an array");
+
+  const tags = payload.tags;
+  if (!Array.isArray(tags)) errors.push("`tags` must be an array");
+
+  const tag_map = payload.tag_map;
+  if (!tag_map || typeof tag_map !== "object") errors.push("`tag_map` must be an object");
+
+  if (errors.length) throw new Error("Invalid payload: " + errors.join("; "));
+
+  // Spot-check a few character fields (lenient: we only log warnings)
+  for (let i=0;i<Math.min(chars.length, 3);i++){
+    const c = chars[i];
+    if (typeof c.name !== "string") console.warn("[cards-core] char missing string `name`", c);
+    if (!Array.isArray(c.tags)) console.warn("[cards-core] char missing array `tags`", c);
+  }
+  return { characters: chars, tags, tag_map };
+}
+
+/* ======================= Normalization & indexing ===================== */
+
+export function deriveId(c){
+  // Prefer provided id, else stable fallback (avatar || name || JSON hash)
+  if (c.id != null) return String(c.id);
+  const basis = String(c.avatar || c.name || "").trim() || JSON.stringify({n:c.name, a:c.avatar});
+  const id = "x_" + hashString(basis);
+  // Warn once per session that id was missing
+  if (!deriveId._warned){ console.warn("[cards-core] Character missing `id` — using derived id from avatar/name"); deriveId._warned = true; }
+  return id;
+}
+
+export function computeIdf(tagToDf, totalDocs){
+  const idf = Object.create(null);
+  const N = totalDocs;
+  for (const [tag, df] of Object.entries(tagToDf)){
+    const v = Math.log((N + 1) / (df + 1)) + 1; // natural log w/ smoothing
+    idf[tag] = v;
+  }
+  return idf;
+}
+
+// ---- Relaxed mode: allow a small, safe subset of HTML ----
+
+// DOM-free (worker-safe): strip tags, decode the common entities, collapse whitespace
+const ENTITIES = { amp:"&", lt:"<", gt:">", quot:'"', apos:"'", nbsp:" ", "#39":"'" };
+export function htmlToPlainText(html){
+  if (!html) return "";
+  return String(html)
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (m, e) => {
+      const k = e.toLowerCase();
+      if (k in ENTITIES) return ENTITIES[k];
+      if (k[0] === "#"){
+        const cp = k[1] === "x" ? parseInt(k.slice(2), 16) : parseInt(k.slice(1), 10);
+        return Number.isFinite(cp) && cp > 0 && cp <= 0x10ffff ? String.fromCodePoint(cp) : " ";
+      }
+      return m;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function tokenizeText(s, { minN = 1, maxN = 3 } = {}){
+  const toks = String(s)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+  const out = [];
+  for (let n = minN; n <= maxN; n++){
+    for (let i = 0; i + n <= toks.length; i++){
+      out.push(toks.slice(i, i + n).join(" "));
+    }
+  }
+  return out; // duplicates preserved => OK for TF
+}
+
+export function cosineSimSparse(ma, mb){
+  if (!ma || !mb) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (const v of ma.values()) na += v*v;
+  for (const v of mb.values()) nb += v*v;
+  const [small, big] = (ma.size < mb.size) ? [ma, mb] : [mb, ma];
+  for (const [k, va] of small){
+    const vb = big.get(k);
+    if (vb) dot += va*vb;
+  }
+  if (!dot || !na || !nb) return 0;
+  return dot / Math.sqrt(na*nb);
+}
+
+
+
+function avatarKeyOf(c){
+  return c.avatar || (c.data && c.data.avatar) || c.image || "";
+}
+
+function tagMapLookup(tag_map, key){
+  // safe fetch: Map.get(...) OR object[...] OR fallback to [].
+  return (tag_map && typeof tag_map.get === "function" && tag_map.get(key)) ||
+    (tag_map && typeof tag_map === "object" && tag_map[key]) ||
+    [];
+}
+
+/** Card fields that shallow ST characters lack; filled by background hydration. */
+export const CARD_FIELDS = ["personality", "scenario", "first_mes", "mes_example", "alternate_greetings", "system_prompt"];
+
+/** Full-card fields of a character, or null when it is shallow (nothing to read yet). */
+export function extractCardFields(c){
+  if (!c || c.shallow) return null;
+  const out = {};
+  for (const k of CARD_FIELDS){
+    const v = safeGet(c, "data." + k, c[k]);
+    out[k] = k === "alternate_greetings"
+      ? (Array.isArray(v) ? v.map(x => String(x ?? "")).filter(Boolean) : [])
+      : String(v ?? "");
+  }
+  return out;
+}
+
+/** All hydrated field text of a row as one string (empty when not hydrated). */
+export function cardFieldsText(row){
+  const f = row?.fields;
+  if (!f) return "";
+  return CARD_FIELDS.map(k => Array.isArray(f[k]) ? f[k].join("\n") : (f[k] || "")).join("\n");
+}
+
+/** Content hash of everything a row is derived from (the character itself + its tag_map entry). */
+export function fingerprintCharacter(c, tag_map){
+  const s = JSON.stringify(c) + "|" + JSON.stringify(tagMapLookup(tag_map, avatarKeyOf(c)));
+  return hashString(s) + s.length.toString(36);
+}
+
+/**
+ * Card metadata timestamp → ms epoch (0 when missing or unreadable). Accepts V3 `creation_date` /
+ * `modification_date` (seconds), ms numbers, ISO strings and SillyTavern's "2023-5-22 @17h 41m 1s 123ms".
+ */
+export function parseCardDate(v){
+  if (v == null || v === "") return 0;
+  if (typeof v === "string" && /^\s*\d+(\.\d+)?\s*$/.test(v)) v = Number(v);
+  if (typeof v === "number") return isFinite(v) && v > 0 ? Math.round(v < 1e11 ? v * 1000 : v) : 0;
+  const st = /^(\d{4})-(\d{1,2})-(\d{1,2})\s*@(\d{1,2})h\s*(\d{1,2})m\s*(\d{1,2})s(?:\s*(\d{1,3})ms)?/.exec(String(v));
+  if (st) return new Date(+st[1], +st[2] - 1, +st[3], +st[4], +st[5], +st[6], +(st[7] || 0)).getTime();
+  const t = Date.parse(String(v));
+  return isFinite(t) ? t : 0;
+}
+
+/**
+ * The card's own metadata: { date_created, date_modified, character_version }. Shallow characters usually
+ * only carry create_date and character_version; background hydration fills in the rest (applyHydration).
+ */
+export function extractCardMeta(c){
+  return {
+    date_created: parseCardDate(safeGet(c, "data.creation_date", null) ?? c?.create_date),
+    date_modified: parseCardDate(safeGet(c, "data.modification_date", null)),
+    character_version: String(safeGet(c, "data.character_version", "") || "").trim()
+  };
+}
+
+/** Natural order for character_version strings ("1.10" after "1.9"); empty versions sort first. */
+export function compareVersions(a, b){
+  return String(a || "").localeCompare(String(b || ""), undefined, { numeric: true, sensitivity: "base" });
+}
+
+/** A row's tags: its own + its tag_map entry, lowercased, deduped, then run through the tag mapping. */
+function rowTags(c, tag_map, mapping){
+  const selfTags = normalizeTagsLower(c.tags || []);
+
+  // tag_map: avatar -> string[] (Map or plain object)
+  const mapTags = normalizeTagsLower(tagMapLookup(tag_map, avatarKeyOf(c)));
+
+  return applyTagMapping(mapping, new Set([...selfTags, ...mapTags]));
+}
+
+/**
+ * Normalize one incoming character into a store row (merged tags).
+ * creator_notes/description stay as raw card HTML here; the main thread sanitizes lazily at render time.
+ * `fpTagMap` is the raw producer tag_map the fingerprint hashes (defaults to `tag_map`), so rows from a delta
+ * fingerprint like rows from a full payload.
+ */
+export function normalizeRow(c, tag_map, mapping = null, { fpTagMap = tag_map } = {}){
+  const id = deriveId(c);
+  const creator = safeGet(c, "data.creator", "") || "";
+  const creator_notes = String(safeGet(c, "data.creator_notes", "") || "");
+  const description = String(safeGet(c, "data.description", "") || "");
+  const fav = !!safeGet(c, "data.extensions.fav", safeGet(c, "extensions.fav", false));
+  const dateAdded = Number(c.date_added || 0) || 0;
+  const lastChat = Number(c.date_last_chat || 0) || 0;
+  const chatSize = Number(c.chat_size || 0) || 0;
+  const dataSize = Number(c.data_size || 0) || 0;
+
+  return {
+    id, shallow: !!c.shallow, name: String(c.name || ""),
+    avatar: c.avatar || null, chat: c.chat || "",
+    date_added: dateAdded, date_last_chat: lastChat,
+    ...extractCardMeta(c),
+    chat_size: chatSize, data_size: dataSize,
+    tags: rowTags(c, tag_map, mapping),
+
+    creator, creator_notes, description,
+    fields: extractCardFields(c),
+    fav, fp: fingerprintCharacter(c, fpTagMap), raw: c
+  };
+}
+
+// Letters that NFKD leaves whole but people type without the stroke/ligature
+const FOLD_EXTRA = { "ß": "ss", "ø": "o", "ł": "l", "đ": "d", "ð": "d", "þ": "th", "æ": "ae", "œ": "oe", "ı": "i", "ŧ": "t", "ħ": "h" };
+const CJK_RE = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\p{scx=Hangul}]/u;
+
+/**
+ * Case + diacritic folding for name search: NFKD, drop combining accents, recompose (so kana keep
+ * their voicing marks), then fold the few letters NFKD can't split. "Zoë" → "zoe", "Ayşe" → "ayse",
+ * full-width "ＡＢＣ" → "abc".
+ */
+export function foldText(s){
+  return String(s ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[ßøłđðþæœıŧħ]/g, ch => FOLD_EXTRA[ch]);
+}
+
+/**
+ * Unicode word tokens of a name/creator string: folded runs of letters/digits, with CJK runs
+ * (Han, kana, Hangul) cut into character bigrams since they have no spaces. The index side
+ * also keeps CJK unigrams so one-character queries hit; queries use bigrams only.
+ */
+export function tokenizeName(s, { query = false } = {}){
+  const out = [];
+  for (const run of foldText(s).match(/[\p{L}\p{N}\p{M}]+/gu) || []){
+    // split a run into CJK / non-CJK segments ("alice艾莉丝" → "alice", "艾莉丝")
+    for (const seg of run.match(/([\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\p{scx=Hangul}]+)|([^\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\p{scx=Hangul}]+)/gu) || []){
+      if (!CJK_RE.test(seg)){ out.push(seg); continue; }
+      const chars = Array.from(seg);
+      if (chars.length === 1 || !query) out.push(...chars);
+      for (let i = 0; i + 1 < chars.length; i++) out.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return out;
+}
+
+export function nameTokens(row){
+  return new Set([...tokenizeName(row.name), ...tokenizeName(row.creator)]);
+}
+
+/** Add a row's tags to the inverted index + DF counts. */
+function indexRowTags(store, r){
+  for (const t of new Set(r.tags)){
+    let s = store.tagToIds.get(t);
+    if (!s){ s = new Set(); store.tagToIds.set(t, s); }
+    s.add(r.id);
+    store.tagToDf[t] = (store.tagToDf[t] || 0) + 1;
+  }
+}
+
+function unindexRowTags(store, r){
+  for (const t of new Set(r.tags)){
+    const s = store.tagToIds.get(t);
+    if (s){ s.delete(r.id); if (!s.size) store.tagToIds.delete(t); }
+    if (store.tagToDf[t] > 1) store.tagToDf[t]--;
+    else delete store.tagToDf[t];
+  }
+}
+
+function indexRowTokens(store, r){
+  for (let tok of nameTokens(r)){
+    tok = tok.trim(); if (!tok) continue;
+    let s = store.tokenMap.get(tok); if (!s){ s = new Set(); store.tokenMap.set(tok, s); }
+    s.add(r.id);
+  }
+}
+
+function unindexRowTokens(store, r){
+  for (const tok of nameTokens(r)){
+    const s = store.tokenMap.get(tok);
+    if (s){ s.delete(r.id); if (!s.size) store.tokenMap.delete(tok); }
+  }
+}
+
+/** Recompute idf for the whole vocabulary, then k and Σidf for every row. */
+export function recomputeRarity(store){
+  store.idf = computeIdf(store.tagToDf, store.rows.length);
+  for (const r of store.rows){
+    let sum = 0;
+    for (const t of r.tags) sum += (store.idf[t] || 0);
+    r.tag_count = r.tags.length;
+    r.sigma_idf = sum;
+  }
+}
+
+function computeTagUniverse(store){
+  // tagNames / assetToTags keep the raw (lowercased) names; the universe is in canonical form
+  const m = store.tagMapping;
+  const u = new Set(store.tagNames.map(t => canonicalTag(m, t)));
+  for (const t of store.tagToIds.keys()) u.add(t);
+  for (const arr of Object.values(store.assetToTags)) for (const t of arr) u.add(canonicalTag(m, t));
+  return Array.from(u).sort();
+}
+
+/**
+ * Re-derive every row's tags under a new tag mapping (rows must still carry `raw`), then rebuild the
+ * tag indexes and rarity. Text indexes are untouched: they don't depend on tags.
+ */
+export function retagStore(store, tagMapping){
+  const t0 = now();
+  store.tagMapping = normalizeTagMapping(tagMapping);
+  store.tagToIds = new Map();
+  store.tagToDf = Object.create(null);
+  for (const r of store.rows){
+    if (r.raw) r.tags = rowTags(r.raw, store.assetToTags, store.tagMapping);
+    indexRowTags(store, r);
+  }
+  recomputeRarity(store);
+  store.tagUniverse = computeTagUniverse(store);
+  store.bitIndex = null;
+  store.neighborGraph = null;
+  store.mapLayout = null;
+  console.log(`[cards-core] Re-tagged ${store.rows.length} rows in ${(now() - t0).toFixed(1)}ms`);
+  return store;
+}
+
+export function buildStore(payload, { onProgress = () => {}, tagMapping = null } = {}){
+  const t0 = now();
+  onProgress(.06, "Checking schema", "Validating payload…");
+  const { characters, tags, tag_map } = validatePayload(payload);
+  const mapping = normalizeTagMapping(tagMapping);
+
+  onProgress(.12, "Normalizing rows", "Normalizing & de-duplicating…");
+  const byId = new Map();
+  const rows = [];
+  const errors = [];
+
+  // Normalize tags universe
+  const tagNames = [];
+  for (const tr of tags){
+    const name = normalizeTag(tr?.name ?? tr?.id ?? "");
+    if (name) tagNames.push(name);
+  }
+
+  const total = characters.length;
+  for (let i = 0; i < total; i++){
+    const c = characters[i];
+    if (i && i % 1000 === 0) onProgress(.12 + .16 * (i / total), `Normalizing rows ${i}/${total}`);
+    try{
+      const id = deriveId(c);
+      if (byId.has(id)) continue; // dedupe by id
+      const row = normalizeRow(c, tag_map, mapping);
+      rows.push(row); byId.set(id, row);
+    }catch(e){
+      errors.push(e.message || String(e));
+    }
+  }
+
+  // tag_map normalization (optional use by UI; also feeds later deltas)
+  const assetToTags = Object.create(null);
+  for (const [k, arr] of Object.entries(tag_map || {})){
+    assetToTags[k] = Array.isArray(arr) ? arr.map(normalizeTag).filter(Boolean) : [];
+  }
+
+  const store = {
+    rows, byId, tagToIds: new Map(), tagToDf: Object.create(null), idf: null,
+    tagNames, tagUniverse: [], tokenMap: new Map(), assetToTags, errors, tagMapping: mapping
+  };
+
+  // DF map and inverted index
+  onProgress(.28, "Inverted index", "Building tag indexes…");
+  for (const r of rows) indexRowTags(store, r);
+
+  // Compute idf + Σidf + tagCount (k)
+  onProgress(.44, "IDF & rarity", "Computing rarity (Σidf)…");
+  recomputeRarity(store);
+
+  // Name/creator tiny search index (token → ids)
+  onProgress(.58, "String index", "Indexing names & creators…");
+  for (const r of rows) indexRowTokens(store, r);
+
+  store.tagUniverse = computeTagUniverse(store);
+
+  onProgress(.72, "Warming caches", "Finalizing…");
+
+  // Potential warmup (no-op hooks here, reserved for future)
+  const t1 = now();
+  console.log(`[cards-core] Store built in ${(t1 - t0).toFixed(1)}ms: ${rows.length} rows, ${store.tagUniverse.length} tags`);
+  return store;
+}
+
+/**
+ * Patch a built store in place from already-normalized rows:
+ *   { upserts: Row[], removes: id[], tagNames?: string[], assetToTags?: Record<avatar,string[]> }
+ * Ids are the producer's stable row ids (avatar files), so an upsert replaces that character's row.
+ * Deterministic, so the worker and the main-thread mirror replay the same patch and stay in sync.
+ */
+export function applyRowPatch(store, patch){
+  const upserts = Array.isArray(patch.upserts) ? patch.upserts : [];
+  const removes = Array.isArray(patch.removes) ? patch.removes.map(String) : [];
+  let added = 0, updated = 0, removed = 0;
+
+  if (Array.isArray(patch.tagNames)) store.tagNames = patch.tagNames.slice();
+  Object.assign(store.assetToTags, patch.assetToTags || {});
+
+  const dropRow = (id) => {
+    const old = store.byId.get(id);
+    if (!old) return null;
+    unindexRowTags(store, old);
+    unindexRowTokens(store, old);
+    store.byId.delete(id);
+    return old;
+  };
+
+  const removeSet = new Set();
+  for (const id of removes){
+    if (dropRow(id)){ removeSet.add(id); removed++; }
+  }
+  if (removeSet.size) store.rows = store.rows.filter(r => !removeSet.has(r.id));
+
+  for (const row of upserts){
+    const old = dropRow(row.id);
+    if (old){
+      store.rows[store.rows.indexOf(old)] = row;
+      updated++;
+    } else {
+      store.rows.push(row);
+      added++;
+    }
+    store.byId.set(row.id, row);
+    indexRowTags(store, row);
+    indexRowTokens(store, row);
+  }
+  forgetNeighbors(store, [...removeSet, ...upserts.map(r => r.id)]);
+
+  recomputeRarity(store);
+  store.tagUniverse = computeTagUniverse(store);
+  // Drop the BM25 index but keep per-doc term counts: the rebuild only re-tokenizes changed rows
+  if (store.textIndex?.docTf) store.textDocCache = store.textIndex.docTf;
+  store.textIndex = null;
+  store.fieldIndexes = null;
+  store.bitIndex = null;
+  store.trigramIndex = null;
+  store.mapLayout = null;
+  return { added, updated, removed };
+}
+
+/**
+ * Normalize a producer delta and patch the store with it:
+ *   { upserts: Character[], removes: id[], tags?: TagRecord[], tag_map?: Record<avatar,string[]> }
+ * Returns { counts, patch } where `patch` is the row-level form for applyRowPatch on another copy of the store.
+ */
+export function applyDelta(store, delta){
+  const t0 = now();
+  const patch = { upserts: [], removes: Array.isArray(delta.removes) ? delta.removes.map(String) : [], assetToTags: {} };
+
+  if (Array.isArray(delta.tags)){
+    patch.tagNames = delta.tags.map(tr => normalizeTag(tr?.name ?? tr?.id ?? "")).filter(Boolean);
+  }
+  for (const [k, arr] of Object.entries(delta.tag_map || {})){
+    patch.assetToTags[k] = Array.isArray(arr) ? arr.map(normalizeTag).filter(Boolean) : [];
+  }
+  const tagLookup = { ...store.assetToTags, ...patch.assetToTags };
+
+  for (const c of (Array.isArray(delta.upserts) ? delta.upserts : [])){
+    try{
+      patch.upserts.push(normalizeRow(c, tagLookup, store.tagMapping, { fpTagMap: delta.tag_map || {} }));
+    }catch(e){
+      store.errors.push(e.message || String(e));
+    }
+  }
+
+  const counts = applyRowPatch(store, patch);
+  console.log(`[cards-core] Delta applied in ${(now() - t0).toFixed(1)}ms: +${counts.added} ~${counts.updated} -${counts.removed}`);
+  return { counts, patch };
+}
+
+/**
+ * Attach hydrated card fields: items = [{ id, avatar, fields, meta? }]. An item only lands when the row at that
+ * id still has the same avatar (a character without an avatar is keyed by its position, which may have shifted).
+ * Deterministic like applyRowPatch, so the worker and the mirror apply the same items. Returns the count.
+ */
+export function applyHydration(store, items){
+  let n = 0;
+  for (const it of (Array.isArray(items) ? items : [])){
+    const row = store.byId.get(String(it?.id));
+    if (!row || !it.fields || (it.avatar && row.avatar && it.avatar !== row.avatar)) continue;
+    row.fields = it.fields;
+    // Full-card metadata only fills gaps the shallow character left
+    for (const [k, v] of Object.entries(it.meta || {})) if (v && !row[k]) row[k] = v;
+    forgetNeighbors(store, [row.id]);
+    n++;
+  }
+  if (n){
+    if (store.textIndex?.docTf) store.textDocCache = store.textIndex.docTf;
+    store.textIndex = null;
+    store.fieldIndexes = null;
+    store.mapLayout = null;
+  }
+  return n;
+}
+
+/** Ids of rows without hydrated fields. */
+export function missingFieldIds(store){
+  return store.rows.filter(r => !r.fields).map(r => r.id);
+}
+
+/**
+ * Rebuild a store from a persisted one plus a fresh payload: rows whose fingerprint is unchanged are reused
+ * as-is, changed/new characters are normalized, vanished ids removed. The cached text index is reused whole
+ * when nothing changed, otherwise its per-doc term counts seed the next (lazy) rebuild; the neighbour graph
+ * keeps the lists of unchanged rows.
+ * Cached rows carry tags under cached.tagMapping: callers rebuild instead when the user mapping changed.
+ * Returns { store, changed, removed }.
+ */
+export function restoreStore(payload, cached, { onProgress = () => {} } = {}){
+  const t0 = now();
+  onProgress(.06, "Checking schema", "Validating payload…");
+  const { characters, tags, tag_map } = validatePayload(payload);
+
+  onProgress(.12, "Comparing fingerprints", "Loading cached index…");
+  const store = {
+    rows: cached.rows, byId: new Map(cached.rows.map(r => [r.id, r])),
+    tagToIds: cached.tagToIds, tagToDf: cached.tagToDf, idf: cached.idf,
+    tagNames: cached.tagNames, tagUniverse: cached.tagUniverse,
+    tokenMap: cached.tokenMap, assetToTags: Object.create(null), errors: [],
+    tagMapping: cached.tagMapping || normalizeTagMapping(null),
+    neighborGraph: cached.neighborGraph || null
+  };
+  for (const [k, arr] of Object.entries(tag_map || {})){
+    store.assetToTags[k] = Array.isArray(arr) ? arr.map(normalizeTag).filter(Boolean) : [];
+  }
+  const tagNames = [];
+  for (const tr of tags){
+    const name = normalizeTag(tr?.name ?? tr?.id ?? "");
+    if (name) tagNames.push(name);
+  }
+
+  const seen = new Set();
+  const upserts = [];
+  const total = characters.length;
+  for (let i = 0; i < total; i++){
+    const c = characters[i];
+    if (i && i % 1000 === 0) onProgress(.12 + .5 * (i / total), `Comparing fingerprints ${i}/${total}`);
+    try{
+      const id = deriveId(c);
+      if (seen.has(id)) continue; // dedupe by id
+      seen.add(id);
+      const row = store.byId.get(id);
+      if (row && row.fp === fingerprintCharacter(c, tag_map)){
+        row.raw = c;
+        if (!row.fields) row.fields = extractCardFields(c);
+        continue;
+      }
+      upserts.push(normalizeRow(c, tag_map, store.tagMapping));
+    }catch(e){
+      store.errors.push(e.message || String(e));
+    }
+  }
+  const removes = store.rows.filter(r => !seen.has(r.id)).map(r => r.id);
+
+  onProgress(.66, `Re-indexing ${upserts.length} changed, ${removes.length} removed`, "Patching indexes…");
+  store.tagNames = tagNames;
+  if (upserts.length || removes.length) applyRowPatch(store, { upserts, removes });
+  else store.tagUniverse = computeTagUniverse(store);
+
+  if (cached.textIndex?.built && !upserts.length && !removes.length) store.textIndex = cached.textIndex;
+  else store.textDocCache = cached.textIndex?.docTf || cached.textDocs || null;
+
+  console.log(`[cards-core] Store restored in ${(now() - t0).toFixed(1)}ms: ${store.rows.length} rows (${upserts.length} changed, ${removes.length} removed)`);
+  return { store, changed: upserts.length, removed: removes.length };
+}
+
+/* ========================= Expressions (parsers) ========================= */
+
+/* Qualified terms (creator:, name:, fav:, chats:, added:, lastchat:, created:, modified:, version:, size:, text:, k:, idf:) */
+
+export const QUALIFIERS = ["creator", "name", "fav", "chats", "added", "lastchat", "created", "modified", "version", "size", "text", "k", "idf"];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const DURATION_MS = { h: 3600e3, d: 86400e3, w: 7 * 86400e3, m: 30 * 86400e3, y: 365 * 86400e3 };
+const DAY_MS = 86400e3;
+const DATE_QUALIFIER_FIELDS = { added: "date_added", lastchat: "date_last_chat", created: "date_created", modified: "date_modified" };
+
+function parseCompare(v){
+  const m = /^(>=|<=|!=|>|<|=)?\s*(.*)$/s.exec(v);
+  return { op: m[1] || "=", rest: m[2].trim() };
+}
+
+function parseSize(x){
+  const m = /^(\d*\.?\d+)\s*(b|kb|mb|gb)?$/i.exec(x);
+  return m ? parseFloat(m[1]) * SIZE_UNITS[(m[2] || "b").toLowerCase()] : NaN;
+}
+
+// "30d" / "12h" / "2w" / "6m" / "1y" → { age }, "2024-06-01" → { from, to } (that whole day, local time)
+function parseDateValue(x){
+  const rel = /^(\d*\.?\d+)\s*([hdwmy])$/i.exec(x);
+  if (rel) return { age: parseFloat(rel[1]) * DURATION_MS[rel[2].toLowerCase()] };
+  const d = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/.exec(x);
+  if (!d) return null;
+  const from = new Date(+d[1], +d[2] - 1, d[3] ? +d[3] : 1).getTime();
+  const to = d[3] ? from + DAY_MS : new Date(+d[1], +d[2], 1).getTime();
+  return isFinite(from) ? { from, to } : null;
+}
+
+function compare(a, op, b){
+  switch (op){
+    case ">":  return a > b;
+    case ">=": return a >= b;
+    case "<":  return a < b;
+    case "<=": return a <= b;
+    case "!=": return a !== b;
+    default:   return a === b;
+  }
+}
+
+// Date inside / outside a day (or month) range
+function compareRange(t, op, { from, to }){
+  switch (op){
+    case ">":  return t >= to;
+    case ">=": return t >= from;
+    case "<":  return t < from;
+    case "<=": return t < to;
+    case "!=": return t < from || t >= to;
+    default:   return t >= from && t < to;
+  }
+}
+
+// Lowercased plain text of notes + description, per row object. Hydrated card fields stay out: the search
+// box reaches them only through the per-field indexes the "Search in fields" toggles enable
+const rowTextCache = new WeakMap();
+function rowSearchText(row){
+  let t = rowTextCache.get(row);
+  if (t == null){
+    t = htmlToPlainText([row.creator_notes, row.description].join("\n")).toLowerCase();
+    rowTextCache.set(row, t);
+  }
+  return t;
+}
+
+/**
+ * Build a qualified-term node. `error` is set (and the term matches nothing) when the value doesn't parse.
+ * Numeric/date qualifiers take an optional comparison prefix: >, >=, <, <=, =, !=.
+ */
+function makeFieldTerm(key, raw){
+  const node = { type: "field", key, raw };
+  const { op, rest } = parseCompare(raw);
+  switch (key){
+    case "creator": case "name": case "text":
+      node.val = raw.toLowerCase();
+      if (!node.val) node.error = `${key}: needs a value`;
+      break;
+    case "fav":
+      node.val = /^(true|yes|1|on)$/i.test(raw) ? true : /^(false|no|0|off)$/i.test(raw) ? false : null;
+      if (node.val === null) node.error = "fav: expects true or false";
+      break;
+    case "chats": case "size":
+      node.op = op; node.val = parseSize(rest);
+      if (!isFinite(node.val)) node.error = `${key}: expects a size like >0, >20kb, <=1.5mb`;
+      break;
+    case "k": case "idf":
+      node.op = op; node.val = parseFloat(rest);
+      if (!isFinite(node.val)) node.error = `${key}: expects a number like >=3`;
+      break;
+    case "version":
+      node.op = op; node.val = rest;
+      if (!node.val) node.error = "version: needs a value like 2 or >=1.5";
+      break;
+    case "added": case "lastchat": case "created": case "modified":
+      node.op = op; node.val = parseDateValue(rest);
+      if (!node.val) node.error = `${key}: expects a date (2024-06-01) or an age (30d, 12h, 2w, 6m, 1y)`;
+      break;
+  }
+  return node;
+}
+
+function matchFieldTerm(n, row, nowTs){
+  if (n.error) return false;
+  switch (n.key){
+    case "creator":  return String(row.creator || "").toLowerCase().includes(n.val);
+    case "name":     return String(row.name || "").toLowerCase().includes(n.val);
+    case "text":     return rowSearchText(row).includes(n.val);
+    case "fav":      return !!row.fav === n.val;
+    case "chats":    return compare(row.chat_size || 0, n.op, n.val);
+    case "size":     return compare(row.data_size || 0, n.op, n.val);
+    case "k":        return compare(row.tag_count || 0, n.op, n.val);
+    case "idf":      return compare(row.sigma_idf || 0, n.op, n.val);
+    case "version":  return !!row.character_version && compare(compareVersions(row.character_version, n.val), n.op, 0);
+    case "added": case "lastchat": case "created": case "modified": {
+      const t = Number(row[DATE_QUALIFIER_FIELDS[n.key]]) || 0;
+      if (n.val.age != null) return compare(t ? nowTs - t : Infinity, n.op, n.val.age);
+      return t ? compareRange(t, n.op, n.val) : n.op === "!=";
+    }
+  }
+  return false;
+}
+
+/* Tag patterns: sci* / *fantasy* globs and /regex/ — expanded against store.tagUniverse */
+
+function globToRegExp(glob){
+  const body = glob.split("*").map(p => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${body}$`);
+}
+
+function makePatternTerm(pattern, kind){
+  const node = { type: "pattern", kind, pattern };
+  try {
+    if (kind === "regex"){
+      const m = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+      node.re = new RegExp(m[1], m[2].includes("i") ? m[2] : m[2] + "i");
+    } else {
+      node.re = globToRegExp(normalizeTag(pattern));
+    }
+  } catch (e){
+    node.error = `Bad pattern ${pattern}: ${e.message || e}`;
+  }
+  return node;
+}
+
+/** Concrete tags a pattern node matches in the store's tag universe (memoized per universe). */
+export function expandTagPattern(node, store){
+  if (node.error || !node.re) return new Set();
+  const universe = store?.tagUniverse || [];
+  if (node._universe !== universe){
+    node._universe = universe;
+    node._tags = new Set(universe.filter(t => node.re.test(t)));
+  }
+  return node._tags;
+}
+
+const QUALIFIER_RE = new RegExp(`^(${QUALIFIERS.join("|")}):`, "i");
+
+/**
+ * Boolean tag expression: supports quoted tags, AND/OR/NOT, &, |, !, parentheses, and qualified terms
+ * (creator:"x", name:elf, fav:true, chats:>0, added:>2024-06-01, lastchat:<30d, created:<2023-01, modified:<90d,
+ * version:>=2, size:>20kb, text:"…", k:>=3, idf:>10).
+ * Tags may be patterns: sci* / *fantasy* / "sci fi*" globs and /regex/flags (case-insensitive), which
+ * match a card carrying any tag of store.tagUniverse the pattern expands to.
+ * Returns { ast, eval, explain, diagnostics }; diagnostics = [{ message, start, end }] (offsets into `input`) for
+ * unbalanced parentheses, dangling operators, unterminated quotes/regexes and bad field values.
+ * Callers should not run a rule that has diagnostics. Plain tags are folded through `tagMapping` aliases;
+ * rows already carry their implied parent tags, so a parent tag matches its children too.
+ */
+export function parseBoolExpr(input, { tagMapping = null } = {}){
+  const s = String(input || "");
+  if (!s.trim()) return { eval: (_store, _id, r) => true, explain: () => [], ast: null, diagnostics: [] };
+  const nowTs = Date.now(); // relative dates are resolved once per parse
+  const diagnostics = [];   // { message, start, end } — character offsets into `input`
+  const diag = (message, start, end) => diagnostics.push({ message, start, end: Math.max(end, start + 1) });
+
+  // Tokenize quoted strings and operators; every token carries its [start, end) span
+  const tokens = [];
+  const push = (tok, start, end) => { tok.start = start; tok.end = end; tokens.push(tok); };
+  let i = 0;
+  while (i < s.length){
+    const ch = s[i];
+    if (/\s/.test(ch)){ i++; continue; }
+    const at = i;
+    const qm = QUALIFIER_RE.exec(s.slice(i));
+    if (qm){
+      // key:value, key:"quoted value", key:>"quoted value"
+      let j = i + qm[0].length;
+      const op = /^(>=|<=|!=|>|<|=)?/.exec(s.slice(j))[0];
+      j += op.length;
+      let val;
+      if (s[j] === '"' || s[j] === "'"){
+        const q = s[j++];
+        const start = j;
+        while (j < s.length && s[j] !== q) j++;
+        if (j >= s.length) diag(`Unterminated quote in ${qm[1]}: value`, start - 1, s.length);
+        val = s.slice(start, j);
+        j++;
+      } else {
+        const start = j;
+        while (j < s.length && !/[\s()&|]/.test(s[j])) j++;
+        val = s.slice(start, j);
+      }
+      i = Math.min(j, s.length);
+      const node = makeFieldTerm(qm[1].toLowerCase(), (op + val).trim());
+      push(node, at, i);
+      if (node.error) diag(node.error, at, i);
+      continue;
+    }
+    if (ch === '"' || ch === "'"){
+      const q = ch; i++;
+      let buf = "";
+      while (i < s.length && s[i] !== q){ buf += s[i++]; }
+      if (i >= s.length) diag("Unterminated quote", at, s.length);
+      i = Math.min(i + 1, s.length);
+      push(buf.includes("*") ? makePatternTerm(buf, "glob") : {type:"tag", val: canonicalTag(tagMapping, normalizeTag(buf))}, at, i);
+      if (!buf.trim()) diag("Empty tag", at, i);
+      continue;
+    }
+    if (ch === "/"){
+      // /regex/flags — up to the next unescaped slash
+      let j = i + 1;
+      while (j < s.length && s[j] !== "/"){ if (s[j] === "\\") j++; j++; }
+      if (j >= s.length){
+        diag("Unterminated /regex/", at, s.length);
+        push({ type: "pattern", kind: "regex", pattern: s.slice(at), error: "Unterminated /regex/" }, at, s.length);
+        i = s.length;
+        continue;
+      }
+      j++;
+      while (j < s.length && /[a-z]/i.test(s[j])) j++;
+      const node = makePatternTerm(s.slice(i, j), "regex");
+      push(node, at, j);
+      if (node.error) diag(node.error, at, j);
+      i = j;
+      continue;
+    }
+    if (/[()]/.test(ch)){ push({type:ch}, at, i + 1); i++; continue; }
+    if (/[!&|]/.test(ch)){
+      // && and || read as one operator
+      const len = (ch !== "!" && s[i + 1] === ch) ? 2 : 1;
+      push({type: ch === "!" ? "NOT" : (ch === "&" ? "AND" : "OR")}, at, i + len);
+      i += len; continue;
+    }
+    // words: AND OR NOT / bare tag (until space or operator)
+    let j = i;
+    while (j < s.length && !/[\s()!&|]/.test(s[j])) j++;
+    const word = s.slice(i, j);
+    const up = word.toUpperCase();
+    if (up === "AND" || up === "OR" || up === "NOT") push({type: up}, at, j);
+    else if (word.includes("*")) push(makePatternTerm(word, "glob"), at, j);
+    else push({type:"tag", val: canonicalTag(tagMapping, normalizeTag(word))}, at, j);
+    i = j;
+  }
+
+  // Grammar check: operands and binary operators must alternate; NOT and "(" only where an operand may start
+  const isOperand = (t) => t.type === "tag" || t.type === "field" || t.type === "pattern";
+  const opName = (t) => t.type === "(" || t.type === ")" ? `"${t.type}"` : t.type;
+  const open = [];
+  let expectOperand = true;
+  let prev = null;
+  for (const t of tokens){
+    if (expectOperand){
+      if (isOperand(t)) expectOperand = false;
+      else if (t.type === "(") open.push(t);
+      else if (t.type === "NOT"){ /* still expecting an operand */ }
+      else if (t.type === ")"){
+        if (prev && prev.type === "(") diag("Empty parentheses", prev.start, t.end);
+        else if (prev) diag(`${opName(prev)} needs a term after it`, prev.start, prev.end);
+        else diag("Unmatched \")\"", t.start, t.end);
+        if (open.length) open.pop();
+        expectOperand = false;
+      } else {
+        diag(prev ? `${t.type} follows ${opName(prev)} without a term in between` : `${t.type} needs a term before it`, t.start, t.end);
+      }
+    } else {
+      if (t.type === "AND" || t.type === "OR") expectOperand = true;
+      else if (t.type === ")"){
+        if (open.length) open.pop();
+        else diag("Unmatched \")\"", t.start, t.end);
+      } else {
+        diag("Missing AND / OR between terms", t.start, t.end);
+        if (t.type === "(") open.push(t);
+        expectOperand = isOperand(t) ? false : true;
+      }
+    }
+    prev = t;
+  }
+  if (expectOperand && prev) diag(`${opName(prev)} needs a term after it`, prev.start, prev.end);
+  for (const t of open) diag("Unclosed \"(\"", t.start, t.end);
+  diagnostics.sort((a, b) => a.start - b.start);
+
+  // Shunting-yard to RPN
+  const prec = { "NOT":3, "AND":2, "OR":1 };
+  const out = []; const ops = [];
+  for (const t of tokens){
+    if (isOperand(t)) out.push(t);
+    else if (t.type === "NOT" || t.type === "AND" || t.type === "OR"){
+      while (ops.length){
+        const top = ops[ops.length-1];
+        // NOT is a right-associative prefix: "NOT NOT x" must not pop the first NOT early
+        if ((top.type === "NOT" || top.type === "AND" || top.type === "OR") && prec[top.type] >= prec[t.type] && t.type !== "NOT") out.push(ops.pop());
+        else break;
+      }
+      ops.push(t);
+    } else if (t.type === "(") ops.push(t);
+    else if (t.type === ")"){
+      while (ops.length && ops[ops.length-1].type !== "(") out.push(ops.pop());
+      if (ops.length && ops[ops.length-1].type === "(") ops.pop();
+    }
+  }
+  while (ops.length){ const t = ops.pop(); if (t.type !== "(") out.push(t); }
+
+  return {
+    ast: out,
+    diagnostics,
+    nowTs,
+    eval: (store, _id, row) => {
+      const stack = [];
+      for (const n of out){
+        if (isOperand(n)){
+          stack.push(matchOperand(n, store, row, nowTs));
+        } else if (n.type === "NOT"){
+          const a = stack.pop() || false; stack.push(!a);
+        } else if (n.type === "AND"){
+          const b = stack.pop() || false, a = stack.pop() || false; stack.push(a && b);
+        } else if (n.type === "OR"){
+          const b = stack.pop() || false, a = stack.pop() || false; stack.push(a || b);
+        }
+      }
+      return !!stack.pop();
+    },
+    /** Truth table for one row: each term, then each sub-expression as it's combined → [{ text, value, op }]; the last entry is the whole rule. */
+    explain: (store, row) => {
+      const stack = [], table = [];
+      const none = { text: "?", value: false, op: null };
+      const wrap = (e, under) => (e.op === "OR" && under !== "OR") || (e.op === "AND" && under === "NOT") ? `(${e.text})` : e.text;
+      const push = (e) => { stack.push(e); table.push(e); };
+      for (const n of out){
+        if (isOperand(n)){
+          push({ text: s.slice(n.start, n.end), value: matchOperand(n, store, row, nowTs), op: null });
+        } else if (n.type === "NOT"){
+          const a = stack.pop() || none;
+          push({ text: `NOT ${wrap(a, "NOT")}`, value: !a.value, op: "NOT" });
+        } else if (n.type === "AND" || n.type === "OR"){
+          const b = stack.pop() || none, a = stack.pop() || none;
+          const value = n.type === "AND" ? a.value && b.value : a.value || b.value;
+          push({ text: `${wrap(a, n.type)} ${n.type} ${wrap(b, n.type)}`, value, op: n.type });
+        }
+      }
+      return table;
+    }
+  };
+}
+
+function matchOperand(n, store, row, nowTs){
+  if (n.type === "tag") return row.tags.includes(n.val);
+  if (n.type === "field") return matchFieldTerm(n, row, nowTs);
+  if (n.type === "pattern"){
+    const set = expandTagPattern(n, store);
+    return set.size > 0 && row.tags.some(t => set.has(t));
+  }
+  return false;
+}
+
+/* ========================== Trigram name index ========================== */
+
+function trigrams(s){
+  const p = ` ${s} `;
+  const out = new Set();
+  for (let i = 0; i + 3 <= p.length; i++) out.add(p.slice(i, i + 3));
+  return out;
+}
+
+/**
+ * Trigram index over folded names and creators, built lazily and dropped by applyRowPatch:
+ * { entries: [{ id, field, text, folded }], grams: Map<trigram, entryIndex[]> }.
+ */
+export function ensureTrigramIndex(store){
+  if (store.trigramIndex) return store.trigramIndex;
+  const t0 = now();
+  const entries = [];
+  const grams = new Map();
+  const add = (id, field, text) => {
+    const folded = foldText(text).replace(/\s+/g, " ").trim();
+    if (!folded) return;
+    const e = entries.length;
+    entries.push({ id, field, text, folded });
+    for (const g of trigrams(folded)){
+      let list = grams.get(g);
+      if (!list){ list = []; grams.set(g, list); }
+      list.push(e);
+    }
+  };
+  for (const r of store.rows){
+    add(r.id, "name", r.name);
+    if (r.creator) add(r.id, "creator", r.creator);
+  }
+  store.trigramIndex = { entries, grams };
+  console.log(`[cards-core] Trigram index built in ${(now() - t0).toFixed(1)}ms: ${entries.length} strings, ${grams.size} grams`);
+  return store.trigramIndex;
+}
+
+/* ========================= Bitset evaluation ========================= */
+
+/**
+ * Dense row index (position in store.rows) plus per-tag bitsets built lazily from store.tagToIds.
+ * Dropped by applyRowPatch, since patches reorder and replace rows.
+ */
+export function ensureBitIndex(store){
+  if (store.bitIndex) return store.bitIndex;
+  const n = store.rows.length;
+  const pos = new Map();
+  for (let i = 0; i < n; i++) pos.set(store.rows[i].id, i);
+  store.bitIndex = { n, words: (n + 31) >>> 5, pos, tagBits: new Map() };
+  return store.bitIndex;
+}
+
+function tagBits(store, bi, tag){
+  let b = bi.tagBits.get(tag);
+  if (!b){
+    b = new Uint32Array(bi.words);
+    for (const id of store.tagToIds.get(tag) || []){
+      const i = bi.pos.get(id);
+      if (i != null) b[i >>> 5] |= 1 << (i & 31);
+    }
+    bi.tagBits.set(tag, b);
+  }
+  return b;
+}
+
+/**
+ * Evaluate a parsed rule (parseBoolExpr) as set operations over tag bitsets → Uint32Array, bit i = store.rows[i].
+ * Tags and tag patterns come straight from the inverted index; qualified terms aren't indexable and fall back
+ * to the per-row matcher, one term at a time. Same semantics as be.eval, including its lenient handling of
+ * malformed rules (a missing operand reads as false).
+ */
+export function evalBoolBits(be, store){
+  const bi = ensureBitIndex(store);
+  const { n, words } = bi;
+  const tail = n & 31;
+  const zero = () => new Uint32Array(words);
+  const not = (a) => {
+    const o = new Uint32Array(words);
+    for (let w = 0; w < words; w++) o[w] = ~a[w];
+    if (tail) o[words - 1] &= 2 ** tail - 1;
+    return o;
+  };
+  const combine = (a, b, or) => {
+    const o = new Uint32Array(words);
+    for (let w = 0; w < words; w++) o[w] = or ? (a[w] | b[w]) : (a[w] & b[w]);
+    return o;
+  };
+
+  const stack = [];
+  for (const node of be.ast || []){
+    if (node.type === "tag"){
+      stack.push(tagBits(store, bi, node.val));
+    } else if (node.type === "pattern"){
+      let acc = zero();
+      for (const t of expandTagPattern(node, store)) acc = combine(acc, tagBits(store, bi, t), true);
+      stack.push(acc);
+    } else if (node.type === "field"){
+      const b = zero();
+      for (let i = 0; i < n; i++) if (matchFieldTerm(node, store.rows[i], be.nowTs)) b[i >>> 5] |= 1 << (i & 31);
+      stack.push(b);
+    } else if (node.type === "NOT"){
+      stack.push(not(stack.pop() || zero()));
+    } else if (node.type === "AND" || node.type === "OR"){
+      const b = stack.pop() || zero(), a = stack.pop() || zero();
+      stack.push(combine(a, b, node.type === "OR"));
+    }
+  }
+  return stack.pop() || zero();
+}
+
+/** Rows whose bit is set, in store order. */
+export function rowsFromBits(store, bits){
+  const out = [];
+  for (let w = 0; w < bits.length; w++){
+    let x = bits[w];
+    while (x){
+      const lsb = x & -x;
+      out.push(store.rows[(w << 5) + 31 - Math.clz32(lsb)]);
+      x ^= lsb;
+    }
+  }
+  return out;
+}
+
+/** Weights assignment parser: 'weight("Female") = 0.3; weight("obscure")=2.0' → Map */
+export function parseWeights(input){
+  const s = String(input || "").trim();
+  const weights = new Map();
+  if (!s) return weights;
+  const re = /weight\s*\(\s*("([^"]+)"|'([^']+)')\s*\)\s*=\s*([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)/g;
+  let m;
+  while ((m = re.exec(s))){
+    const tag = normalizeTag(m[2] || m[3] || "");
+    const val = parseFloat(m[4]);
+    if (tag) weights.set(tag, isFinite(val) ? val : 0);
+  }
+  return weights;
+}
+
+/* Score formulas: `score = 2*weight + 0.5*log(chat_size+1) - days_since(last_chat)/30` in the weights input */
+
+// Variables are row fields from buildStore(); `weight` is the row's Σ weight("tag") from the same input
+const SCORE_VARS = {
+  weight:         (r, w) => w,
+  tag_count:      (r) => r.tag_count || 0,
+  sigma_idf:      (r) => r.sigma_idf || 0,
+  chat_size:      (r) => r.chat_size || 0,
+  data_size:      (r) => r.data_size || 0,
+  date_added:     (r) => r.date_added || 0,
+  date_last_chat: (r) => r.date_last_chat || 0,
+  date_created:   (r) => r.date_created || 0,
+  date_modified:  (r) => r.date_modified || 0,
+  added:          (r) => r.date_added || 0,
+  created:        (r) => r.date_created || 0,
+  modified:       (r) => r.date_modified || 0,
+  last_chat:      (r) => r.date_last_chat || 0,
+  fav:            (r) => r.fav ? 1 : 0
+};
+export const SCORE_VARIABLES = Object.keys(SCORE_VARS);
+
+// name → [arity (-1: one or more), fn]; days_since gets the parse-time clock bound in
+const SCORE_FUNCS = {
+  log: [1, Math.log], log2: [1, Math.log2], log10: [1, Math.log10], exp: [1, Math.exp],
+  sqrt: [1, Math.sqrt], abs: [1, Math.abs], floor: [1, Math.floor], ceil: [1, Math.ceil], round: [1, Math.round],
+  min: [-1, Math.min], max: [-1, Math.max], pow: [2, Math.pow],
+  clamp: [3, (x, lo, hi) => Math.min(hi, Math.max(lo, x))],
+  days_since: [1, null]
+};
+export const SCORE_FUNCTIONS = Object.keys(SCORE_FUNCS);
+
+/**
+ * Parse the `score = …` part of the weights input (arithmetic, ^, parentheses, SCORE_FUNCTIONS over
+ * SCORE_VARIABLES; no property access, no eval). days_since(ts) is Infinity for a date that was never set.
+ * → null when there's no formula, else { source, eval: (row, weight) => number, error }; on a syntax error
+ * `eval` is null and error = { message, start, end } (offsets into `input`).
+ */
+export function parseScoreFormula(input){
+  const str = String(input || "");
+  const head = /(?:^|;)\s*score\s*=/i.exec(str);
+  if (!head) return null;
+  const from = head.index + head[0].length;
+  const semi = str.indexOf(";", from);
+  const to = semi < 0 ? str.length : semi;
+  const src = str.slice(from, to);
+  const nowTs = Date.now();
+  const fail = (message, start, end) => { throw { message, start: from + start, end: from + Math.max(end, start + 1) }; };
+
+  const toks = [];
+  const re = /\s*(?:(\d*\.?\d+(?:e[-+]?\d+)?)|([a-z_][a-z0-9_]*)|([-+*/%^(),]))/iy;
+  let pos = 0;
+  try {
+    while (pos < src.length){
+      if (!src.slice(pos).trim()) break;
+      re.lastIndex = pos;
+      const m = re.exec(src);
+      if (!m){
+        const at = pos + (src.slice(pos).length - src.slice(pos).trimStart().length);
+        fail(`Unexpected "${src[at]}"`, at, at + 1);
+      }
+      const start = re.lastIndex - (m[1] || m[2] || m[3]).length;
+      toks.push({ num: m[1], id: m[2]?.toLowerCase(), op: m[3], start, end: re.lastIndex });
+      pos = re.lastIndex;
+    }
+    if (!toks.length) fail("Empty formula", 0, src.length);
+
+    let i = 0;
+    const peek = () => toks[i];
+    const isOp = (op) => toks[i]?.op === op;
+    const expect = (op) => {
+      if (!isOp(op)) fail(`Expected "${op}"`, toks[i]?.start ?? src.length, toks[i]?.end ?? src.length);
+      return toks[i++];
+    };
+
+    const expr = () => {
+      let a = term();
+      while (isOp("+") || isOp("-")){
+        const op = toks[i++].op, b = term(), l = a;
+        a = op === "+" ? (r, w) => l(r, w) + b(r, w) : (r, w) => l(r, w) - b(r, w);
+      }
+      return a;
+    };
+    const term = () => {
+      let a = unary();
+      while (isOp("*") || isOp("/") || isOp("%")){
+        const op = toks[i++].op, b = unary(), l = a;
+        a = op === "*" ? (r, w) => l(r, w) * b(r, w)
+          : op === "/" ? (r, w) => l(r, w) / b(r, w)
+          : (r, w) => l(r, w) % b(r, w);
+      }
+      return a;
+    };
+    const unary = () => {
+      if (isOp("-")){ i++; const a = unary(); return (r, w) => -a(r, w); }
+      if (isOp("+")){ i++; return unary(); }
+      const base = primary();
+      if (isOp("^")){ i++; const e = unary(); return (r, w) => Math.pow(base(r, w), e(r, w)); }
+      return base;
+    };
+    const primary = () => {
+      const t = peek();
+      if (!t) fail("Formula ends too early", src.length, src.length);
+      if (t.num != null){ i++; const v = parseFloat(t.num); return () => v; }
+      if (t.op === "("){ i++; const a = expr(); expect(")"); return a; }
+      if (t.id){
+        i++;
+        if (isOp("(")){
+          const spec = SCORE_FUNCS[t.id];
+          if (!spec) fail(`Unknown function ${t.id}()`, t.start, t.end);
+          i++;
+          const args = [];
+          if (!isOp(")")){
+            args.push(expr());
+            while (isOp(",")){ i++; args.push(expr()); }
+          }
+          const close = expect(")");
+          const [arity] = spec;
+          if (arity < 0 ? !args.length : args.length !== arity){
+            fail(`${t.id}() takes ${arity < 0 ? "at least 1 argument" : `${arity} argument${arity > 1 ? "s" : ""}`}`, t.start, close.end);
+          }
+          const fn = t.id === "days_since" ? (ts) => ts > 0 ? (nowTs - ts) / DAY_MS : Infinity : spec[1];
+          return (r, w) => fn(...args.map(a => a(r, w)));
+        }
+        const v = SCORE_VARS[t.id];
+        if (!v) fail(`Unknown variable "${t.id}" (use ${SCORE_VARIABLES.join(", ")})`, t.start, t.end);
+        return v;
+      }
+      fail(`Unexpected "${t.op}"`, t.start, t.end);
+    };
+
+    const fn = expr();
+    if (i < toks.length) fail(`Unexpected "${toks[i].num ?? toks[i].id ?? toks[i].op}"`, toks[i].start, toks[i].end);
+    return { source: src.trim(), eval: fn, error: null };
+  } catch (err){
+    if (err instanceof Error) throw err;
+    return { source: src.trim(), eval: null, error: err };
+  }
+}
+
+const STOPWORDS = new Set([
+  "a","an","the","and","or","but","if","to","in","on","with","for","of","at",
+  "by","from","up","out","over","under","then","so","than","too","very","can",
+  "will","just","is","are","was","were","be","been","being","have","has","had",
+  "do","does","did","i","you","he","she","it","we","they","them","this","that",
+  "these","those"
+]);
+
+export function tokenizeForIndex(text){
+  const raw = String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  const toks = [];
+  for (let i = 0; i < raw.length; i++){
+    const w1 = raw[i]; if (!STOPWORDS.has(w1)) toks.push(w1);         // unigram
+    if (i + 1 < raw.length){
+      const w2 = raw[i+1];
+      if (!STOPWORDS.has(w1) && !STOPWORDS.has(w2)) toks.push(w1+" "+w2); // bigram
+    }
+  }
+  return toks; // duplicates kept for TF
+}
+
+
+/** BM25 index over notes + description (+ hydrated card fields). Rows carrying a `fp` reuse term counts
+    from `reuse` (or the store's textDocCache) when their fingerprint and hydration state are unchanged.
+    docTf keeps the field counts apart (ftf/flen): similarity vectors use both, the search box only tf/len. */
+export function buildTextIndex(storeOrCharacters, { onProgress = () => {}, reuse = null } = {}){
+  // Determine rows from the argument only
+  let rows, cacheTarget = null;
+  if (storeOrCharacters && Array.isArray(storeOrCharacters.rows)) {
+    rows = storeOrCharacters.rows;
+    cacheTarget = storeOrCharacters;              // where we'll cache textIndex
+    if (cacheTarget.textIndex && cacheTarget.textIndex.built) return cacheTarget.textIndex;
+  } else if (Array.isArray(storeOrCharacters)) {
+    rows = storeOrCharacters.map(c => ({
+      id: c.id ?? c.name ?? String(Math.random()),
+      creator_notes: c?.data?.creator_notes || "",
+      description:   c?.data?.description   || ""
+    }));
+  } else {
+    console.error("[buildTextIndex] invalid input:", storeOrCharacters);
+    return { idf:new Map(), vecs:new Map(), built:true, docs:0, vocabSize:0 };
+  }
+
+  onProgress(.05, "Token DF pass", "Indexing descriptions…");
+  reuse = reuse || cacheTarget?.textDocCache || null;
+
+  // Collect per-doc TF and DF with weighting (desc 2× vs notes 1×)
+  const df = new Map();
+  const docs = [];
+  const docTf = new Map(); // id -> { fp, tf, len }, persisted for incremental rebuilds
+  let totalLen = 0;
+
+  const total = rows.length;
+  for (let i = 0; i < total; i++){
+    const r = rows[i];
+    if (i && i % 500 === 0) onProgress(.05 + .75 * (i / total), `Token DF pass ${i}/${total}`);
+
+    const key = r.fp ? r.fp + (r.fields ? "+f" : "") : null;
+    const prev = (reuse && key) ? reuse.get(r.id) : null;
+    let tf, len, ftf = null, flen = 0;
+    if (prev && prev.fp === key){
+      ({ tf, len, ftf = null, flen = 0 } = prev);
+    } else {
+      const notes = htmlToPlainText(r.creator_notes);
+      const desc  = htmlToPlainText(r.description);
+      const weighted = (notes + " " + notes + " " + desc + " " + desc).trim();
+
+      const toks = tokenizeForIndex(weighted);
+      tf = new Map();
+      for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+      len = toks.length;
+
+      const fieldToks = r.fields ? tokenizeForIndex(htmlToPlainText(cardFieldsText(r))) : [];
+      if (fieldToks.length){
+        ftf = new Map();
+        for (const t of fieldToks) ftf.set(t, (ftf.get(t) || 0) + 1);
+        flen = fieldToks.length;
+      }
+    }
+    docTf.set(r.id, { fp: key, tf, len, ftf, flen });
+
+    let all = tf;
+    if (ftf){
+      all = new Map(tf);
+      for (const [t, f] of ftf) all.set(t, (all.get(t) || 0) + f);
+    }
+    for (const t of all.keys()) df.set(t, (df.get(t) || 0) + 1);
+
+    docs.push({ id: r.id, tf: all, len: len + flen });
+    totalLen += len + flen;
+  }
+
+  // IDF with cutoffs (drop DF==1 and DF/N > 1%)
+  onProgress(.80, "Computing text IDF");
+  const N = Math.max(1, docs.length);
+  const idf = new Map();
+  for (const [t, dfi] of df.entries()){
+    if (dfi <= 1) continue;
+    if ((dfi / N) > 0.01) continue;
+    idf.set(t, Math.log(1 + (N - dfi + 0.5) / (dfi + 0.5)));
+  }
+
+  // BM25 vectors
+  onProgress(.86, "Building BM25 vectors");
+  const vecs = new Map();
+  const k1 = 1.5, b = 0.75;
+  const avgdl = totalLen / N;
+
+  for (const {id, tf, len} of docs){
+    const m = new Map();
+    for (const [t, f] of tf.entries()){
+      const itf = idf.get(t);
+      if (!itf) continue;
+      const denom = f + k1 * (1 - b + b * (len / avgdl));
+      const w = itf * (f * (k1 + 1)) / denom;
+      m.set(t, w);
+    }
+    vecs.set(id, m);
+  }
+
+  const out = { idf, vecs, built:true, docs:N, vocabSize:idf.size, docTf };
+  if (cacheTarget){                               // cache only on the passed-in store
+    cacheTarget.textIndex = out;
+    cacheTarget.textDocCache = null;
+  }
+  return out;
+}
+
+/* =========================== Neighbour graph =========================== */
+
+export const NEIGHBOR_K = 100;
+const NEIGHBOR_REBUILD_FRACTION = 0.25; // more stale rows than this → start the graph over
+
+/**
+ * Whether a combinedSimilarity setting ranks by what the graph precomputes (IDF tag cosine and/or BM25).
+ * A graph list only holds the NEIGHBOR_K nearest per metric, so larger limits need the exhaustive scan.
+ */
+export function neighborGraphCovers({ tagMode = "cosine", descMode = "cosine", weightTags = true, includeTags = true, includeText = true, limit = NEIGHBOR_K } = {}){
+  if (!(limit <= NEIGHBOR_K)) return false;
+  if (includeTags && (tagMode !== "cosine" || !weightTags)) return false;
+  if (includeText && !String(descMode).startsWith("bm25")) return false;
+  return includeTags || includeText;
+}
+
+// Changed/removed rows lose their lists (the builder recomputes them); other lists may still name them,
+// which is harmless since candidates are re-scored at query time
+function forgetNeighbors(store, ids){
+  const g = store.neighborGraph;
+  if (g) for (const id of ids) g.lists.delete(id);
+}
+
+/**
+ * Incremental builder for store.neighborGraph = { k, lists: Map<id, id[]> }: each row's list is the union
+ * of its K nearest rows by IDF tag cosine and by BM25 description cosine (rankSimilar re-scores them).
+ * Only rows without a list are computed, and each new list is merged into its neighbours' lists so they
+ * see the changed row; past NEIGHBOR_REBUILD_FRACTION stale rows the graph starts over.
+ * → { total, done, step(n) } where step computes up to n rows and returns true once finished.
+ * Scores against the current store.textIndex (built when missing); start a new builder after it changes.
+ */
+export function neighborGraphBuilder(store, { k = NEIGHBOR_K } = {}){
+  const rows = store.rows;
+  const n = rows.length;
+  let g = store.neighborGraph;
+  let pending = g?.k === k ? rows.filter(r => !g.lists.has(r.id)) : rows;
+  const full = !g || g.k !== k || pending.length > n * NEIGHBOR_REBUILD_FRACTION;
+  if (full){
+    g = store.neighborGraph = { k, lists: new Map() };
+    pending = rows.slice();
+  }
+  const ti = store.textIndex?.built ? store.textIndex : buildTextIndex(store);
+
+  // Postings as flat [row index, weight, …] arrays, plus vector norms, for sparse dot products
+  const tagPost = new Map(), textPost = new Map();
+  const tagNorm = new Float64Array(n), textNorm = new Float64Array(n);
+  const post = (m, key, i, w) => {
+    let p = m.get(key);
+    if (!p) m.set(key, p = []);
+    p.push(i, w);
+  };
+  for (let i = 0; i < n; i++){
+    let s = 0;
+    for (const t of rows[i].tags){ const w = store.idf[t] || 1; s += w * w; post(tagPost, t, i, w); }
+    tagNorm[i] = Math.sqrt(s);
+    s = 0;
+    for (const [term, w] of ti.vecs.get(rows[i].id) || []){ s += w * w; post(textPost, term, i, w); }
+    textNorm[i] = Math.sqrt(s);
+  }
+
+  const tagSim = new Float64Array(n), textSim = new Float64Array(n);
+  const seen = new Uint8Array(n);
+  const index = new Map(rows.map((r, i) => [r.id, i]));
+
+  function accumulate(acc, vec, postings, touched){
+    for (const [key, w] of vec){
+      const p = postings.get(key);
+      if (!p) continue;
+      for (let x = 0; x < p.length; x += 2){
+        const j = p[x];
+        acc[j] += w * p[x + 1];
+        if (!seen[j]){ seen[j] = 1; touched.push(j); }
+      }
+    }
+  }
+
+  function neighborsOf(i){
+    const touched = [];
+    const r = rows[i];
+    accumulate(tagSim, r.tags.map(t => [t, store.idf[t] || 1]), tagPost, touched);
+    accumulate(textSim, ti.vecs.get(r.id) || [], textPost, touched);
+    const others = [];
+    for (const j of touched){
+      tagSim[j] = tagNorm[i] && tagNorm[j] ? tagSim[j] / (tagNorm[i] * tagNorm[j]) : 0;
+      textSim[j] = textNorm[i] && textNorm[j] ? textSim[j] / (textNorm[i] * textNorm[j]) : 0;
+      if (j !== i) others.push(j);
+    }
+    const best = (sim) => others.filter(j => sim[j] > 0).sort((a, b) => sim[b] - sim[a]).slice(0, k);
+    const picked = new Set([...best(tagSim), ...best(textSim)]);
+    for (const j of touched){ tagSim[j] = 0; textSim[j] = 0; seen[j] = 0; }
+    return Array.from(picked, j => rows[j].id);
+  }
+
+  // Incremental: the changed row joins its neighbours' lists (they may predate it); a list that would
+  // grow past 2K is recomputed instead
+  function mergeInto(id, list){
+    for (const other of list){
+      const l = g.lists.get(other);
+      if (!l || l.includes(id)) continue;
+      if (l.length < 2 * k){ l.push(id); continue; }
+      g.lists.delete(other);
+      pending.push(store.byId.get(other));
+    }
+  }
+
+  let done = 0;
+  return {
+    get total(){ return pending.length; },
+    get done(){ return done; },
+    step(count = 200){
+      const end = Math.min(pending.length, done + count);
+      for (; done < end; done++){
+        const r = pending[done];
+        const i = index.get(r.id);
+        if (i === undefined || rows[i] !== r) continue;
+        const list = neighborsOf(i);
+        g.lists.set(r.id, list);
+        if (!full) mergeInto(r.id, list);
+      }
+      return done >= pending.length;
+    }
+  };
+}
+
+
+
+
+
+
+/**
+ * Inverted BM25 index over one hydrated card field (see CARD_FIELDS). No DF cutoffs: this one answers
+ * queries rather than feeding similarity, so rare terms are exactly what people search for.
+ * Returns { field, postings: Map<term, Array<[id, tf]>>, lens: Map<id, len>, avgdl, N }.
+ */
+export function buildFieldIndex(rows, field){
+  const postings = new Map();
+  const lens = new Map();
+  let totalLen = 0;
+  for (const r of rows){
+    const v = r.fields?.[field];
+    if (!v || (Array.isArray(v) && !v.length)) continue;
+    const toks = tokenizeForIndex(htmlToPlainText(Array.isArray(v) ? v.join("\n") : v));
+    if (!toks.length) continue;
+    const tf = new Map();
+    for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, f] of tf){
+      let list = postings.get(t);
+      if (!list){ list = []; postings.set(t, list); }
+      list.push([r.id, f]);
+    }
+    lens.set(r.id, toks.length);
+    totalLen += toks.length;
+  }
+  const N = lens.size;
+  return { field, postings, lens, avgdl: N ? totalLen / N : 0, N };
+}
+
+/** BM25 scores of `text` against a field index: Map<id, score>. */
+export function scoreFieldIndex(idx, text, { k1 = 1.2, b = 0.75 } = {}){
+  const out = new Map();
+  if (!idx || !idx.N) return out;
+  const terms = new Set(tokenizeForIndex(text));
+  for (const t of terms){
+    const list = idx.postings.get(t);
+    if (!list) continue;
+    const idf = Math.log(1 + (idx.N - list.length + 0.5) / (list.length + 0.5));
+    for (const [id, f] of list){
+      const len = idx.lens.get(id) || 0;
+      const w = idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * (len / (idx.avgdl || 1))));
+      out.set(id, (out.get(id) || 0) + w);
+    }
+  }
+  return out;
+}
+
+/** Lazily built per-field index, cached on the store until the next patch/hydration. */
+export function ensureFieldIndex(store, field){
+  store.fieldIndexes = store.fieldIndexes || Object.create(null);
+  if (!store.fieldIndexes[field]){
+    const t0 = now();
+    store.fieldIndexes[field] = buildFieldIndex(store.rows, field);
+    console.log(`[cards-core] Field index "${field}" built in ${(now() - t0).toFixed(1)}ms: ${store.fieldIndexes[field].N} docs`);
+  }
+  return store.fieldIndexes[field];
+}
+
+/* ====================== Near-duplicates (MinHash/LSH) ====================== */
+
+const MINHASH_BANDS = 32;
+const MINHASH_ROWS = 4;        // 128 hashes; a pair becomes a candidate with P = 1 - (1 - J^4)^32 (½ at J ≈ 0.42)
+const SHINGLE_WORDS = 3;
+const MINHASH_MAX_BUCKET = 64; // bigger LSH buckets are template boilerplate, not re-uploads
+const MINHASH_SEEDS = (() => {
+  const out = new Uint32Array(MINHASH_BANDS * MINHASH_ROWS);
+  let x = 0x9e3779b9;
+  for (let i = 0; i < out.length; i++){ x ^= x << 13; x ^= x >>> 17; x ^= x << 5; out[i] = x >>> 0; }
+  return out;
+})();
+
+function fnv1a(s){
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+
+function fmix32(h){
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Row → { key, shingles: sorted Uint32Array, sig: Uint32Array } (null without description/notes text).
+// Patched rows are new objects; the key catches in-place re-tagging.
+const minhashCache = new WeakMap();
+function rowMinhash(row){
+  const key = row.tags.join("\u0001");
+  const hit = minhashCache.get(row);
+  if (hit && hit.key === key) return hit.value;
+  const words = foldText(htmlToPlainText(row.creator_notes) + " " + htmlToPlainText(row.description))
+    .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  let value = null;
+  if (words.length){
+    const set = new Set();
+    const w = Math.min(SHINGLE_WORDS, words.length);
+    for (let i = 0; i + w <= words.length; i++) set.add(fnv1a(words.slice(i, i + w).join(" ")));
+    for (const t of row.tags) set.add(fnv1a("#" + t));
+    const shingles = Uint32Array.from(set).sort();
+    const sig = new Uint32Array(MINHASH_SEEDS.length).fill(0xffffffff);
+    for (const h of shingles){
+      for (let i = 0; i < sig.length; i++){
+        const v = fmix32(h ^ MINHASH_SEEDS[i]);
+        if (v < sig[i]) sig[i] = v;
+      }
+    }
+    value = { shingles, sig };
+  }
+  minhashCache.set(row, { key, value });
+  return value;
+}
+
+function sortedJaccard(a, b){
+  let i = 0, j = 0, inter = 0;
+  while (i < a.length && j < b.length){
+    if (a[i] === b[j]){ inter++; i++; j++; }
+    else if (a[i] < b[j]) i++;
+    else j++;
+  }
+  const uni = a.length + b.length - inter;
+  return uni ? inter / uni : 0;
+}
+
+/**
+ * Likely re-uploads / minor edits: MinHash signatures over word 3-shingles of notes + description (plus the
+ * tags), LSH banding for candidate pairs, then the exact shingle Jaccard ≥ `threshold` links cards into groups.
+ * Rows without any notes/description text are skipped. → [{ ids, score, pairs: [{ a, b, score }] }], groups by
+ * best pair score desc; within a group ids follow the pairs' order, pairs best first.
+ */
+export function findDuplicates(store, { threshold = 0.6 } = {}){
+  const t0 = now();
+  const rows = [], sigs = [];
+  for (const r of store.rows){
+    const m = rowMinhash(r);
+    if (m){ rows.push(r); sigs.push(m); }
+  }
+
+  const seen = new Set();
+  const pairs = [];
+  for (let b = 0; b < MINHASH_BANDS; b++){
+    const buckets = new Map();
+    for (let i = 0; i < rows.length; i++){
+      const sig = sigs[i].sig;
+      let key = b + ":";
+      for (let r = 0; r < MINHASH_ROWS; r++) key += sig[b * MINHASH_ROWS + r].toString(36) + ",";
+      let list = buckets.get(key);
+      if (!list) buckets.set(key, list = []);
+      list.push(i);
+    }
+    for (const list of buckets.values()){
+      if (list.length < 2 || list.length > MINHASH_MAX_BUCKET) continue;
+      for (let x = 0; x < list.length; x++){
+        for (let y = x + 1; y < list.length; y++){
+          const pk = list[x] * rows.length + list[y];
+          if (seen.has(pk)) continue;
+          seen.add(pk);
+          const score = sortedJaccard(sigs[list[x]].shingles, sigs[list[y]].shingles);
+          if (score >= threshold) pairs.push({ a: list[x], b: list[y], score });
+        }
+      }
+    }
+  }
+
+  // Union-find over the linked pairs
+  const parent = Int32Array.from(rows, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i){ parent[i] = parent[parent[i]]; i = parent[i]; }
+    return i;
+  };
+  for (const { a, b } of pairs) parent[find(a)] = find(b);
+  const groups = new Map();
+  pairs.sort((p, q) => q.score - p.score);
+  for (const p of pairs){
+    const root = find(p.a);
+    let g = groups.get(root);
+    if (!g) groups.set(root, g = { ids: [], score: p.score, pairs: [] });
+    for (const i of [p.a, p.b]) if (!g.ids.includes(rows[i].id)) g.ids.push(rows[i].id);
+    g.pairs.push({ a: rows[p.a].id, b: rows[p.b].id, score: p.score });
+  }
+  const out = Array.from(groups.values()).sort((g, h) => h.score - g.score || h.ids.length - g.ids.length);
+  console.log(`[cards-core] Duplicates in ${(now() - t0).toFixed(1)}ms: ${rows.length} rows, ${seen.size} candidate pairs, ${out.length} groups`);
+  return out;
+}
+
+/**
+ * Word-level diff (Myers) of two texts → [{ op: "=" | "-" | "+", text }] with runs merged; whitespace is kept
+ * so the parts concatenate back to `a` (= and -) and `b` (= and +). Past `maxEdits` edits it gives up and
+ * returns the whole of `a` removed and `b` added.
+ */
+export function diffWords(a, b, { maxEdits = 1500 } = {}){
+  const A = String(a ?? "").match(/\s+|[^\s]+/g) || [];
+  const B = String(b ?? "").match(/\s+|[^\s]+/g) || [];
+  const n = A.length, m = B.length;
+  const coarse = () => [...(n ? [{ op: "-", text: A.join("") }] : []), ...(m ? [{ op: "+", text: B.join("") }] : [])];
+
+  const maxD = Math.min(n + m, maxEdits);
+  const off = maxD + 1;
+  const v = new Int32Array(2 * maxD + 3);
+  const trace = [];
+  let found = -1;
+  for (let d = 0; d <= maxD && found < 0; d++){
+    trace.push(v.slice(off - d - 1, off + d + 2)); // v before step d, read as snap[k + d + 1]
+    for (let k = -d; k <= d; k += 2){
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && A[x] === B[y]){ x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m){ found = d; break; }
+    }
+  }
+  if (found < 0) return coarse();
+
+  const ops = [];
+  let x = n, y = m;
+  for (let d = found; d >= 0; d--){
+    const snap = trace[d];
+    const at = (k) => snap[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d ? at(prevK) : 0;
+    const prevY = d ? prevX - prevK : 0;
+    while (x > prevX && y > prevY){ ops.push(["=", A[--x]]); y--; }
+    if (d){
+      if (x === prevX) ops.push(["+", B[--y]]);
+      else ops.push(["-", A[--x]]);
+    }
+  }
+
+  const out = [];
+  for (let i = ops.length - 1; i >= 0; i--){
+    const [op, text] = ops[i];
+    const last = out[out.length - 1];
+    if (last && last.op === op) last.text += text;
+    else out.push({ op, text });
+  }
+  return out;
+}
+
+/* ============================== Clustering ============================== */
+
+const CLUSTER_CENTROID_DIMS = 400; // centroids keep their heaviest terms; the long tail barely moves assignments
+
+function mulberry32(a){
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sparseDot(vec, centroid){
+  let s = 0;
+  for (const [key, w] of vec){
+    const c = centroid.get(key);
+    if (c) s += w * c;
+  }
+  return s;
+}
+
+// Mean of member vectors, unit length, cut to its CLUSTER_CENTROID_DIMS heaviest terms
+function centroidOf(vecs, members){
+  const sum = new Map();
+  for (const i of members) for (const [key, w] of vecs[i]) sum.set(key, (sum.get(key) || 0) + w);
+  const top = Array.from(sum).sort((a, b) => b[1] - a[1]).slice(0, CLUSTER_CENTROID_DIMS);
+  let norm = 0;
+  for (const [, w] of top) norm += w * w;
+  norm = Math.sqrt(norm) || 1;
+  return new Map(top.map(([key, w]) => [key, w / norm]));
+}
+
+// Each row's IDF tag vector and BM25 vector, unit length each, mixed as √alpha·tags ⊕ √(1−alpha)·text
+// (so a dot product is alpha·tag cosine + (1−alpha)·text cosine). Rows with neither are skipped.
+function libraryVectors(store, alpha){
+  const ti = alpha < 1 ? (store.textIndex?.built ? store.textIndex : buildTextIndex(store)) : null;
+  const rows = [], vecs = [];
+  let skipped = 0;
+  for (const r of store.rows){
+    const vec = new Map();
+    const mix = (entries, prefix, share) => {
+      if (share <= 0) return;
+      let norm = 0;
+      for (const [, w] of entries) norm += w * w;
+      if (!norm) return;
+      const scale = Math.sqrt(share / norm);
+      for (const [key, w] of entries) vec.set(prefix + key, w * scale);
+    };
+    mix(r.tags.map(t => [t, store.idf[t] || 1]), "t:", alpha);
+    mix(ti?.vecs.get(r.id) || [], "w:", 1 - alpha);
+    if (!vec.size){ skipped++; continue; }
+    rows.push(r);
+    vecs.push(vec);
+  }
+  return { rows, vecs, skipped };
+}
+
+/**
+ * Spherical k-means over the rows' mixed tag + BM25 vectors (alpha weights the tags).
+ * k-means++ seeding from fixed seeds keeps the clusters stable between runs (the best of `restarts` wins);
+ * rows with neither tags nor indexed text are skipped. Labels are each cluster's most distinctive tags: lift = in-cluster share ÷ library
+ * share, among tags on at least `minShare` of its cards.
+ * → { clusters: [{ ids, size, cohesion, labels: [{ tag, share, lift }] }] largest first, skipped, iterations }
+ */
+export function clusterLibrary(store, { k = 12, alpha = 0.6, maxIter = 20, restarts = 3, labels = 3, minShare = 0.2, seed = 1, onProgress = () => {} } = {}){
+  const t0 = now();
+  const { rows, vecs, skipped } = libraryVectors(store, alpha);
+  const n = rows.length;
+  k = Math.max(1, Math.min(k, n));
+  if (!n) return { clusters: [], skipped, iterations: 0 };
+
+  // One k-means++ seeded run (distance² = 2 − 2·cos for unit vectors) → { assign, sims, iterations, fit }
+  const run = (runSeed, p0, pSpan) => {
+    const rand = mulberry32(runSeed);
+    const centroids = [new Map(vecs[Math.floor(rand() * n)])];
+    const best = new Float64Array(n).fill(-Infinity);
+    while (centroids.length < k){
+      const c = centroids[centroids.length - 1];
+      let total = 0;
+      for (let i = 0; i < n; i++){
+        best[i] = Math.max(best[i], sparseDot(vecs[i], c));
+        total += Math.max(0, 2 - 2 * best[i]);
+      }
+      let pick = rand() * total, i = 0;
+      for (; i < n - 1; i++){
+        pick -= Math.max(0, 2 - 2 * best[i]);
+        if (pick <= 0) break;
+      }
+      centroids.push(new Map(vecs[i]));
+    }
+
+    const assign = new Int32Array(n).fill(-1);
+    const sims = new Float64Array(n);
+    let iterations = 0;
+    while (iterations < maxIter){
+      onProgress(p0 + pSpan * (iterations / maxIter), `k-means pass ${++iterations}`);
+      let moved = 0;
+      for (let i = 0; i < n; i++){
+        let bi = 0, bs = -Infinity;
+        for (let c = 0; c < k; c++){
+          const s = sparseDot(vecs[i], centroids[c]);
+          if (s > bs){ bs = s; bi = c; }
+        }
+        if (assign[i] !== bi){ assign[i] = bi; moved++; }
+        sims[i] = bs;
+      }
+      const members = Array.from({ length: k }, () => []);
+      for (let i = 0; i < n; i++) members[assign[i]].push(i);
+      for (let c = 0; c < k; c++){
+        if (members[c].length){ centroids[c] = centroidOf(vecs, members[c]); continue; }
+        // Empty cluster: restart it on the row that fits its own cluster worst
+        let worst = 0;
+        for (let i = 1; i < n; i++) if (sims[i] < sims[worst]) worst = i;
+        centroids[c] = new Map(vecs[worst]);
+        sims[worst] = Infinity;
+        moved++;
+      }
+      if (!moved) break;
+    }
+    let fit = 0;
+    for (let i = 0; i < n; i++) fit += sims[i];
+    return { assign, sims, iterations, fit };
+  };
+
+  // k-means only finds a local optimum: keep the most cohesive of a few seeded runs
+  let res = null;
+  for (let r = 0; r < restarts; r++){
+    onProgress(.05 + .9 * (r / restarts), `Clustering run ${r + 1}/${restarts}`, "Clustering…");
+    const next = run(seed + r, .05 + .9 * (r / restarts), .9 / restarts);
+    if (!res || next.fit > res.fit) res = next;
+  }
+  const { assign, sims, iterations } = res;
+
+  const N = store.rows.length || 1;
+  const clusters = Array.from({ length: k }, () => ({ ids: [], size: 0, cohesion: 0, labels: [] }));
+  const tagCounts = Array.from({ length: k }, () => new Map());
+  for (let i = 0; i < n; i++){
+    const c = clusters[assign[i]];
+    c.ids.push(rows[i].id);
+    c.cohesion += sims[i];
+    for (const t of rows[i].tags) tagCounts[assign[i]].set(t, (tagCounts[assign[i]].get(t) || 0) + 1);
+  }
+  clusters.forEach((c, ci) => {
+    c.size = c.ids.length;
+    c.cohesion = c.size ? c.cohesion / c.size : 0;
+    const scored = [];
+    for (const [tag, cnt] of tagCounts[ci]){
+      const share = cnt / c.size;
+      if (share < minShare) continue;
+      scored.push({ tag, share, lift: share / ((store.tagToDf[tag] || cnt) / N) });
+    }
+    c.labels = scored.sort((a, b) => b.lift - a.lift || b.share - a.share).slice(0, labels);
+  });
+  const out = clusters.filter(c => c.size).sort((a, b) => b.size - a.size);
+  onProgress(1, "Clusters ready");
+  console.log(`[cards-core] ${out.length} clusters over ${n} rows in ${(now() - t0).toFixed(1)}ms (best run: ${iterations} passes)`);
+  return { clusters: out, skipped, iterations };
+}
+
+/* ============================== Library map ============================== */
+
+const MAP_UMAP_A = 1.577, MAP_UMAP_B = 0.895; // UMAP's curve for min_dist 0.1, spread 1
+
+// Modified Gram-Schmidt over the d columns of a row-major n×d matrix (in place)
+function orthonormalizeColumns(Q, n, d){
+  for (let c = 0; c < d; c++){
+    for (let p = 0; p < c; p++){
+      let dot = 0;
+      for (let i = 0; i < n; i++) dot += Q[i * d + c] * Q[i * d + p];
+      for (let i = 0; i < n; i++) Q[i * d + c] -= dot * Q[i * d + p];
+    }
+    let norm = 0;
+    for (let i = 0; i < n; i++) norm += Q[i * d + c] ** 2;
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < n; i++) Q[i * d + c] /= norm;
+  }
+  return Q;
+}
+
+// Eigen-decomposition of a symmetric d×d matrix (cyclic Jacobi) → { values, vectors (columns, row-major) }
+function symmetricEigen(M, d){
+  const A = Float64Array.from(M);
+  const V = new Float64Array(d * d);
+  for (let i = 0; i < d; i++) V[i * d + i] = 1;
+  for (let sweep = 0; sweep < 50; sweep++){
+    let off = 0;
+    for (let p = 0; p < d; p++) for (let q = p + 1; q < d; q++) off += A[p * d + q] ** 2;
+    if (off < 1e-18) break;
+    for (let p = 0; p < d; p++){
+      for (let q = p + 1; q < d; q++){
+        const apq = A[p * d + q];
+        if (Math.abs(apq) < 1e-30) continue;
+        const theta = (A[q * d + q] - A[p * d + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+        for (let k = 0; k < d; k++){
+          const akp = A[k * d + p], akq = A[k * d + q];
+          A[k * d + p] = c * akp - s * akq;
+          A[k * d + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < d; k++){
+          const apk = A[p * d + k], aqk = A[q * d + k];
+          A[p * d + k] = c * apk - s * aqk;
+          A[q * d + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < d; k++){
+          const vkp = V[k * d + p], vkq = V[k * d + q];
+          V[k * d + p] = c * vkp - s * vkq;
+          V[k * d + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: Array.from({ length: d }, (_, i) => A[i * d + i]), vectors: V };
+}
+
+/**
+ * Randomized PCA of sparse row vectors (implicitly mean-centred): a few power iterations find the top-d
+ * subspace, then a d×d eigenproblem rotates it onto the principal axes. → n×d row-major scores, largest first.
+ */
+function sparsePca(vecs, d, rand, powerIters = 3){
+  const n = vecs.length;
+  const mean = new Map();
+  for (const v of vecs) for (const [key, w] of v) mean.set(key, (mean.get(key) || 0) + w / n);
+
+  // Xcᵀ·Q → Map<key, Float64Array(d)>
+  const xtq = (Q) => {
+    const out = new Map();
+    const colSum = new Float64Array(d);
+    const col = (key) => { let a = out.get(key); if (!a) out.set(key, a = new Float64Array(d)); return a; };
+    for (let i = 0; i < n; i++){
+      const base = i * d;
+      for (let j = 0; j < d; j++) colSum[j] += Q[base + j];
+      for (const [key, w] of vecs[i]){
+        const a = col(key);
+        for (let j = 0; j < d; j++) a[j] += w * Q[base + j];
+      }
+    }
+    for (const [key, m] of mean){
+      const a = col(key);
+      for (let j = 0; j < d; j++) a[j] -= m * colSum[j];
+    }
+    return out;
+  };
+  // Xc·Z → n×d
+  const xz = (Z) => {
+    const out = new Float64Array(n * d);
+    const muZ = new Float64Array(d);
+    for (const [key, m] of mean){
+      const z = Z.get(key);
+      if (z) for (let j = 0; j < d; j++) muZ[j] += m * z[j];
+    }
+    for (let i = 0; i < n; i++){
+      const base = i * d;
+      for (const [key, w] of vecs[i]){
+        const z = Z.get(key);
+        if (z) for (let j = 0; j < d; j++) out[base + j] += w * z[j];
+      }
+      for (let j = 0; j < d; j++) out[base + j] -= muZ[j];
+    }
+    return out;
+  };
+
+  const omega = new Map();
+  for (const key of mean.keys()) omega.set(key, Float64Array.from({ length: d }, () => rand() - 0.5));
+  let Q = orthonormalizeColumns(xz(omega), n, d);
+  for (let t = 0; t < powerIters; t++) Q = orthonormalizeColumns(xz(xtq(Q)), n, d);
+
+  // Qᵀ·Xc·Xcᵀ·Q = Σ_key b·bᵀ over the rows of Bt = Xcᵀ·Q
+  const M = new Float64Array(d * d);
+  for (const b of xtq(Q).values()){
+    for (let p = 0; p < d; p++) for (let q = 0; q < d; q++) M[p * d + q] += b[p] * b[q];
+  }
+  const { values, vectors } = symmetricEigen(M, d);
+  const order = values.map((v, i) => i).sort((a, b) => values[b] - values[a]);
+  const scores = new Float64Array(n * d);
+  for (let i = 0; i < n; i++){
+    for (let c = 0; c < d; c++){
+      const e = order[c];
+      let s = 0;
+      for (let j = 0; j < d; j++) s += Q[i * d + j] * vectors[j * d + e];
+      scores[i * d + c] = s * Math.sqrt(Math.max(0, values[e]));
+    }
+  }
+  return scores;
+}
+
+/**
+ * 2D map of the library: the rows' mixed tag + BM25 vectors (see libraryVectors) → randomized PCA to `dims`
+ * dimensions → k nearest neighbours there → UMAP-style fuzzy neighbour graph, laid out by SGD from the first
+ * two principal components. Rows with a store.neighborGraph list only rank those candidates; the rest are
+ * scanned exactly. Deterministic for a given seed and graph. Rows with neither tags nor text are left out.
+ * → { ids, x: Float32Array, y: Float32Array, skipped }
+ */
+export function layoutLibrary(store, { alpha = 0.6, dims = 24, neighbors = 15, epochs = 200, negatives = 5, seed = 1, onProgress = () => {} } = {}){
+  const t0 = now();
+  const { rows, vecs, skipped } = libraryVectors(store, alpha);
+  const n = rows.length;
+  const ids = rows.map(r => r.id);
+  if (n < 3){
+    return { ids, x: Float32Array.from(rows, (_, i) => i), y: new Float32Array(n), skipped };
+  }
+  const rand = mulberry32(seed);
+  const d = Math.min(dims, n - 1);
+  const kNN = Math.min(neighbors, n - 1);
+
+  onProgress(.05, "Projecting (PCA)", "Building the map…");
+  const P = sparsePca(vecs, d, rand);
+
+  // kNN in PCA space: the neighbour graph's candidates when it has enough for the row, else all rows
+  const graph = store.neighborGraph;
+  const indexOf = graph ? new Map(ids.map((id, i) => [id, i])) : null;
+  let fromGraph = 0;
+  const knnIdx = new Int32Array(n * kNN), knnDist = new Float64Array(n * kNN);
+  for (let i = 0; i < n; i++){
+    if (i % 250 === 0) onProgress(.25 + .35 * (i / n), `Neighbours ${i}/${n}`);
+    const bi = knnIdx.subarray(i * kNN, (i + 1) * kNN).fill(-1);
+    const bd = knnDist.subarray(i * kNN, (i + 1) * kNN).fill(Infinity);
+    const consider = (j) => {
+      let s = 0;
+      for (let c = 0; c < d; c++){ const t = P[i * d + c] - P[j * d + c]; s += t * t; }
+      if (s >= bd[kNN - 1]) return;
+      let p = kNN - 1;
+      while (p > 0 && bd[p - 1] > s){ bd[p] = bd[p - 1]; bi[p] = bi[p - 1]; p--; }
+      bd[p] = s; bi[p] = j;
+    };
+    const candidates = [];
+    for (const id of graph?.lists.get(ids[i]) || []){
+      const j = indexOf.get(id);
+      if (j != null && j !== i) candidates.push(j);
+    }
+    if (candidates.length >= kNN){
+      for (const j of candidates) consider(j);
+      fromGraph++;
+    } else {
+      for (let j = 0; j < n; j++) if (j !== i) consider(j);
+    }
+    for (let p = 0; p < kNN; p++) bd[p] = Math.sqrt(bd[p]);
+  }
+
+  // Fuzzy membership per point (UMAP smooth kNN: Σ exp(−(d − ρ)/σ) = log2 k), then the fuzzy union
+  onProgress(.62, "Neighbour graph");
+  const edgeW = new Map();
+  const target = Math.log2(kNN);
+  for (let i = 0; i < n; i++){
+    const bd = knnDist.subarray(i * kNN, (i + 1) * kNN);
+    const rho = bd[0];
+    let lo = 0, hi = Infinity, sigma = 1;
+    for (let it = 0; it < 64; it++){
+      let sum = 0;
+      for (let p = 0; p < kNN; p++) sum += Math.exp(-Math.max(0, bd[p] - rho) / sigma);
+      if (Math.abs(sum - target) < 1e-5) break;
+      if (sum > target){ hi = sigma; sigma = (lo + hi) / 2; }
+      else { lo = sigma; sigma = hi === Infinity ? sigma * 2 : (lo + hi) / 2; }
+    }
+    for (let p = 0; p < kNN; p++){
+      const j = knnIdx[i * kNN + p];
+      const w = Math.exp(-Math.max(0, bd[p] - rho) / (sigma || 1e-6));
+      const key = i < j ? i * n + j : j * n + i;
+      const prev = edgeW.get(key) || 0;
+      edgeW.set(key, prev + w - prev * w);
+    }
+  }
+  const m = edgeW.size;
+  const head = new Int32Array(m), tail = new Int32Array(m), weight = new Float64Array(m);
+  let e = 0, maxW = 0;
+  for (const [key, w] of edgeW){
+    head[e] = Math.floor(key / n); tail[e] = key % n; weight[e] = w;
+    if (w > maxW) maxW = w;
+    e++;
+  }
+
+  // Start from PC1/PC2 scaled into ±10
+  const Y = new Float64Array(n * 2);
+  let scale = 0;
+  for (let i = 0; i < n; i++) scale = Math.max(scale, Math.abs(P[i * d]), Math.abs(P[i * d + 1] || 0));
+  scale = scale ? 10 / scale : 1;
+  for (let i = 0; i < n; i++){
+    Y[i * 2] = P[i * d] * scale + (rand() - .5) * 1e-3;
+    Y[i * 2 + 1] = (P[i * d + 1] || 0) * scale + (rand() - .5) * 1e-3;
+  }
+
+  // SGD: attract along edges (sampled ∝ weight), repel from random points
+  const a = MAP_UMAP_A, b = MAP_UMAP_B;
+  const clip = (g) => g > 4 ? 4 : (g < -4 ? -4 : g);
+  const perSample = Float64Array.from(weight, w => maxW / w);
+  const nextSample = Float64Array.from(perSample);
+  const perNeg = Float64Array.from(perSample, x => x / negatives);
+  const nextNeg = Float64Array.from(perNeg);
+  for (let epoch = 1; epoch <= epochs; epoch++){
+    if (epoch % 20 === 0) onProgress(.65 + .33 * (epoch / epochs), `Layout ${epoch}/${epochs}`);
+    const lr = 1 - (epoch - 1) / epochs;
+    for (let k = 0; k < m; k++){
+      if (nextSample[k] > epoch) continue;
+      const i = head[k], j = tail[k];
+      let dx = Y[i * 2] - Y[j * 2], dy = Y[i * 2 + 1] - Y[j * 2 + 1];
+      let d2 = dx * dx + dy * dy;
+      if (d2 > 0){
+        const g = (-2 * a * b * Math.pow(d2, b - 1)) / (a * Math.pow(d2, b) + 1);
+        const gx = clip(g * dx) * lr, gy = clip(g * dy) * lr;
+        Y[i * 2] += gx; Y[i * 2 + 1] += gy;
+        Y[j * 2] -= gx; Y[j * 2 + 1] -= gy;
+      }
+      nextSample[k] += perSample[k];
+      const nNeg = Math.floor((epoch - nextNeg[k]) / perNeg[k]);
+      for (let p = 0; p < nNeg; p++){
+        const r = Math.floor(rand() * n);
+        if (r === i) continue;
+        dx = Y[i * 2] - Y[r * 2]; dy = Y[i * 2 + 1] - Y[r * 2 + 1];
+        d2 = dx * dx + dy * dy;
+        const g = d2 > 0 ? (2 * b) / ((0.001 + d2) * (a * Math.pow(d2, b) + 1)) : 0;
+        Y[i * 2] += (g ? clip(g * dx) : 4) * lr;
+        Y[i * 2 + 1] += (g ? clip(g * dy) : 4) * lr;
+      }
+      nextNeg[k] += nNeg * perNeg[k];
+    }
+  }
+
+  const x = new Float32Array(n), y = new Float32Array(n);
+  for (let i = 0; i < n; i++){ x[i] = Y[i * 2]; y[i] = Y[i * 2 + 1]; }
+  onProgress(1, "Map ready");
+  console.log(`[cards-core] Map of ${n} rows in ${(now() - t0).toFixed(1)}ms (${m} edges, ${fromGraph} rows from the neighbour graph)`);
+  return { ids, x, y, skipped };
+}
+
+/* ========================= Search-box language ========================= */
+
+const SEARCH_TOKEN_RE = /(-?)"([^"]*)"?|(\S+)/g;
+const wordsOf = (s) => String(s || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+function makeSearchItem(text, phrase){
+  const words = wordsOf(text);
+  return { text, phrase, words, needle: ` ${words.join(" ")} `, folded: foldText(text).trim() };
+}
+
+/**
+ * Parse the search box. Words and "quoted phrases" are all required, `a OR b` makes alternatives,
+ * -word / -"a phrase" excludes. A word with inner punctuation ("half-elf") matches as a phrase.
+ * → { clauses: [[item, …]] (AND of ORs), exclude: [item], empty }, item = { text, phrase, words, needle, folded }
+ */
+export function parseSearchQuery(input){
+  const clauses = [], exclude = [];
+  let last = null, joinNext = false; // last: clause of the previous positive item (OR joins onto it)
+  for (const m of String(input || "").matchAll(SEARCH_TOKEN_RE)){
+    const [, neg, quoted, bare] = m;
+    if (bare === "OR"){ joinNext = !!last; continue; }
+    let item, negate = !!neg;
+    if (quoted != null) item = makeSearchItem(quoted, true);
+    else if (bare.length > 1 && bare[0] === "-"){ negate = true; item = makeSearchItem(bare.slice(1), false); }
+    else item = makeSearchItem(bare, false);
+    if (!item.words.length && !item.folded){ last = null; joinNext = false; continue; }
+    if (negate){ exclude.push(item); last = null; }
+    else if (joinNext) last.push(item);
+    else clauses.push(last = [item]);
+    joinNext = false;
+  }
+  return { clauses, exclude, empty: !clauses.length && !exclude.length };
+}
+
+// " word word … " over notes + description, for word-bounded phrase checks
+const rowWordsCache = new WeakMap();
+function rowWords(row){
+  let t = rowWordsCache.get(row);
+  if (t == null){
+    t = ` ${wordsOf(rowSearchText(row)).join(" ")} `;
+    rowWordsCache.set(row, t);
+  }
+  return t;
+}
+
+// " word word … " of one hydrated card field, per fields object (hydration replaces it)
+const fieldWordsCache = new WeakMap();
+function fieldWords(row, field){
+  const f = row.fields;
+  if (!f) return "";
+  let m = fieldWordsCache.get(f);
+  if (!m) fieldWordsCache.set(f, m = new Map());
+  let t = m.get(field);
+  if (t == null){
+    const v = Array.isArray(f[field]) ? f[field].join("\n") : (f[field] || "");
+    t = ` ${wordsOf(htmlToPlainText(v).toLowerCase()).join(" ")} `;
+    m.set(field, t);
+  }
+  return t;
+}
+
+// Where an item hits a row: "name" | "creator" | "text" | one of `fields` (the enabled CARD_FIELDS) | null
+// (names match by folded substring, as before)
+function searchItemHit(item, row, fields = []){
+  if (item.folded && foldText(row.name).includes(item.folded)) return "name";
+  if (item.folded && foldText(row.creator).includes(item.folded)) return "creator";
+  if (!item.words.length) return null;
+  if (rowWords(row).includes(item.needle)) return "text";
+  for (const field of fields) if (fieldWords(row, field).includes(item.needle)) return field;
+  return null;
+}
+
+/* ============================ Query helpers ============================ */
+
+/** Row fields query.sort() can order by ("score" = tag weights / score formula). */
+export const SORT_KEYS = [
+  "score", "name", "creator", "fav", "tag_count", "sigma_idf", "date_added", "date_last_chat",
+  "date_created", "date_modified", "character_version", "chat_size", "data_size"
+];
+
+// n-gram range textSimilarityById tokenizes with for a text mode; null for modes scored off the BM25 index
+// or on raw characters
+function similarityNgramRange(mode, ngramMin, ngramMax){
+  const n = /-(\d)gram/.exec(mode)?.[1];
+  if (mode.startsWith("cosine")) return n ? [1, +n] : [ngramMin, ngramMax];
+  if (mode.startsWith("jaccard")) return n ? [+n, +n] : mode === "jaccard-text" ? [1, 1] : [ngramMin, ngramMax];
+  if (mode === "dice-text" || mode === "overlap-text") return [1, 1];
+  return null;
+}
+
+export function makeQueryAPI(store){
+  const SEARCH_K1 = 1.5, SEARCH_B = 0.75, SEARCH_NAME_BOOST = 8, SEARCH_CREATOR_BOOST = 3;
+
+  // Shared by searchText / explainSearch: parsed query, BM25 idf over full document frequencies, field scores
+  function prepareSearch(api, q, fieldWeights){
+    const pq = parseSearchQuery(q);
+    if (pq.empty) return null;
+    const positives = pq.clauses.flat();
+    const ti = store.textIndex?.built ? store.textIndex : buildTextIndex(store);
+    const docTf = ti.docTf || new Map();
+    let totalLen = 0;
+    for (const d of docTf.values()) totalLen += d.len;
+    const N = Math.max(1, docTf.size);
+    const terms = Array.from(new Set(positives.flatMap(item => tokenizeForIndex(item.words.join(" ")))));
+    const idf = new Map();
+    for (const t of terms){
+      let df = 0;
+      for (const d of docTf.values()) if (d.tf.has(t)) df++;
+      if (df) idf.set(t, Math.log(1 + (N - df + 0.5) / (df + 0.5)));
+    }
+    const fields = Object.keys(fieldWeights || {}).filter(f => CARD_FIELDS.includes(f) && fieldWeights[f] > 0);
+    const fieldScores = fields.length ? api.searchFields(positives.map(i => i.text).join(" "), fieldWeights) : null;
+    return { pq, terms, idf, docTf, avgdl: totalLen / N || 1, fields, fieldScores };
+  }
+
+  // Relevance of one row, or null when it doesn't match; `parts` (explainSearch) collects the breakdown
+  function scoreSearchRow(ctx, r, parts = null){
+    let matched = true, s = 0;
+    for (const item of ctx.pq.exclude){
+      if (!searchItemHit(item, r, ctx.fields)) continue;
+      matched = false;
+      if (!parts) return null;
+      parts.excludedBy = parts.excludedBy || item.text;
+    }
+    for (const clause of ctx.pq.clauses){
+      let any = false;
+      const row = [];
+      for (const item of clause){
+        const hit = searchItemHit(item, r, ctx.fields);
+        row.push({ text: item.text, hit });
+        if (!hit) continue;
+        any = true;
+        const boost = hit === "name" ? SEARCH_NAME_BOOST : hit === "creator" ? SEARCH_CREATOR_BOOST : 0;
+        s += boost;
+        if (parts && boost) parts[hit] += boost;
+      }
+      if (parts) parts.clauses.push(row);
+      if (!any){
+        matched = false;
+        if (!parts) return null;
+      }
+    }
+    const d = ctx.docTf.get(r.id);
+    if (d){
+      for (const t of ctx.terms){
+        const f = d.tf.get(t), w = ctx.idf.get(t);
+        if (!f || !w) continue;
+        const v = w * (f * (SEARCH_K1 + 1)) / (f + SEARCH_K1 * (1 - SEARCH_B + SEARCH_B * (d.len / ctx.avgdl)));
+        s += v;
+        if (parts) parts.terms.push({ term: t, score: v });
+      }
+    }
+    const fs = ctx.fieldScores?.get(r.id) || 0;
+    s += fs;
+    if (parts) parts.fields = fs;
+    return matched ? s : null;
+  }
+
+  // Sparse tag vector as tagSimilarity's cosine mode builds it
+  function tagVector(row, weightTags = true){
+    const m = new Map();
+    for (const t of row.tags) m.set(t, weightTags ? (store.idf[t] || 1) : 1);
+    return m;
+  }
+
+  function scoreRow(row, weights){
+    if (!weights || !weights.size) return 0;
+    let s = 0;
+    for (const t of row.tags){
+      const w = weights.get(t);
+      if (w) s += w;
+    }
+    return s;
+  }
+  return {
+    tagSimilarity(a, b, { mode = "jaccard", weightTags = true, idfMul = 1 } = {}){
+      const A = new Set(a.tags);
+      const B = new Set(b.tags);
+
+      if (mode === "none") return 0;
+
+      if (mode === "overlap"){
+        // IDF-boosted overlap: sum weights on intersection
+        // weight = 1 + IDF*(idfMul - 1) when weightTags, else 1
+        let s = 0;
+        for (const t of A){
+          if (!B.has(t)) continue;
+          if (weightTags){
+            const idf = store.idf[t] || 0;
+            s += 1 + idf * (idfMul - 1);
+          } else {
+            s += 1;
+          }
+        }
+        return s;
+      }
+
+      if (mode === "jaccard"){
+        let inter = 0, uni = new Set([...A, ...B]).size;
+        for (const t of A) if (B.has(t)) inter++;
+        return uni ? inter / uni : 0;
+      }
+
+      if (mode === "dice"){
+        let inter = 0;
+        for (const t of A) if (B.has(t)) inter++;
+        const total = A.size + B.size;
+        return total ? (2 * inter) / total : 0;
+      }
+
+      if (mode === "tanimoto"){
+        // Tanimoto is equivalent to Jaccard for binary sets
+        let inter = 0, uni = new Set([...A, ...B]).size;
+        for (const t of A) if (B.has(t)) inter++;
+        return uni ? inter / uni : 0;
+      }
+
+      if (mode === "ochiai"){
+        let inter = 0;
+        for (const t of A) if (B.has(t)) inter++;
+        const denom = Math.sqrt(A.size * B.size);
+        return denom ? inter / denom : 0;
+      }
+
+      if (mode === "simpson"){
+        let inter = 0;
+        for (const t of A) if (B.has(t)) inter++;
+        const minSize = Math.min(A.size, B.size);
+        return minSize ? inter / minSize : 0;
+      }
+
+      if (mode === "braun-blanquet"){
+        let inter = 0;
+        for (const t of A) if (B.has(t)) inter++;
+        const maxSize = Math.max(A.size, B.size);
+        return maxSize ? inter / maxSize : 0;
+      }
+
+      if (mode === "hamming"){
+        // Hamming distance (normalized): count of differing positions
+        const union = new Set([...A, ...B]);
+        let diff = 0;
+        for (const t of union){
+          if (A.has(t) !== B.has(t)) diff++;
+        }
+        return union.size ? 1 - (diff / union.size) : 1;
+      }
+
+      if (mode === "manhattan"){
+        // Manhattan distance (normalized): sum of absolute differences
+        const union = new Set([...A, ...B]);
+        let dist = 0;
+        for (const t of union){
+          const aHas = A.has(t) ? 1 : 0;
+          const bHas = B.has(t) ? 1 : 0;
+          dist += Math.abs(aHas - bHas);
+        }
+        return union.size ? 1 - (dist / union.size) : 1;
+      }
+
+      if (mode === "euclidean"){
+        // Euclidean distance (normalized): sqrt of sum of squared differences
+        const union = new Set([...A, ...B]);
+        let dist = 0;
+        for (const t of union){
+          const aHas = A.has(t) ? 1 : 0;
+          const bHas = B.has(t) ? 1 : 0;
+          dist += Math.pow(aHas - bHas, 2);
+        }
+        const maxDist = Math.sqrt(union.size);
+        return maxDist ? 1 - (Math.sqrt(dist) / maxDist) : 1;
+      }
+
+      // Default: cosine over sparse tag vectors (optionally IDF-weighted)
+      const wa = new Map(), wb = new Map();
+      for (const t of A) wa.set(t, weightTags ? (store.idf[t] || 1) : 1);
+      for (const t of B) wb.set(t, weightTags ? (store.idf[t] || 1) : 1);
+      return cosineSimSparse(wa, wb);
+    },
+
+    textSimilarityById(aId, bId, { mode = "cosine", ngramMin = 1, ngramMax = 3 } = {}){
+      if (mode === "none") return 0;
+
+      const A = store.byId.get(aId), B = store.byId.get(bId);
+      if (!A || !B) return 0;
+
+      const textA = htmlToPlainText(A.creator_notes) + " " + htmlToPlainText(A.description);
+      const textB = htmlToPlainText(B.creator_notes) + " " + htmlToPlainText(B.description);
+
+      if (!textA.trim() || !textB.trim()) return 0;
+
+      if (mode.startsWith("cosine")){
+        // Extract n-gram range from mode name
+        let minN = ngramMin, maxN = ngramMax;
+        if (mode.includes("-1gram")) { minN = 1; maxN = 1; }
+        else if (mode.includes("-2gram")) { minN = 1; maxN = 2; }
+        else if (mode.includes("-3gram")) { minN = 1; maxN = 3; }
+        else if (mode.includes("-4gram")) { minN = 1; maxN = 4; }
+
+        const toksA = tokenizeText(textA, { minN, maxN });
+        const toksB = tokenizeText(textB, { minN, maxN });
+
+        const tfA = new Map(), tfB = new Map();
+        for (const t of toksA) tfA.set(t, (tfA.get(t) || 0) + 1);
+        for (const t of toksB) tfB.set(t, (tfB.get(t) || 0) + 1);
+
+        return cosineSimSparse(tfA, tfB);
+      }
+
+      if (mode.startsWith("bm25")){
+        // Use existing BM25 index for BM25 similarity
+        const ti = store.textIndex?.built ? store.textIndex : buildTextIndex(store);
+        const va = ti.vecs.get(aId), vb = ti.vecs.get(bId);
+        return cosineSimSparse(va, vb);
+      }
+
+      if (mode.startsWith("jaccard")){
+        let minN = ngramMin, maxN = ngramMax;
+        if (mode.includes("-2gram")) { minN = 2; maxN = 2; }
+        else if (mode.includes("-3gram")) { minN = 3; maxN = 3; }
+        else if (mode.includes("-4gram")) { minN = 4; maxN = 4; }
+        else if (mode === "jaccard-text") { minN = 1; maxN = 1; }
+
+        const setA = new Set(tokenizeText(textA, { minN, maxN }));
+        const setB = new Set(tokenizeText(textB, { minN, maxN }));
+        const inter = new Set([...setA].filter(x => setB.has(x))).size;
+        const union = new Set([...setA, ...setB]).size;
+        return union ? inter / union : 0;
+      }
+
+      if (mode === "dice-text"){
+        const setA = new Set(tokenizeText(textA, { minN: 1, maxN: 1 }));
+        const setB = new Set(tokenizeText(textB, { minN: 1, maxN: 1 }));
+        const inter = new Set([...setA].filter(x => setB.has(x))).size;
+        return (setA.size + setB.size) ? (2 * inter) / (setA.size + setB.size) : 0;
+      }
+
+      if (mode === "overlap-text"){
+        const setA = new Set(tokenizeText(textA, { minN: 1, maxN: 1 }));
+        const setB = new Set(tokenizeText(textB, { minN: 1, maxN: 1 }));
+        return new Set([...setA].filter(x => setB.has(x))).size;
+      }
+
+      if (mode === "levenshtein"){
+        return this.levenshteinSimilarity(textA, textB);
+      }
+
+      if (mode === "jaro-winkler"){
+        return this.jaroWinklerSimilarity(textA, textB);
+      }
+
+      if (mode === "lcs"){
+        return this.lcsSimilarity(textA, textB);
+      }
+
+      if (mode === "semantic-hash"){
+        return this.semanticHashSimilarity(textA, textB);
+      }
+
+      // Default: cosine with TF-IDF
+      const ti = store.textIndex?.built ? store.textIndex : buildTextIndex(store);
+      const va = ti.vecs.get(aId), vb = ti.vecs.get(bId);
+      return cosineSimSparse(va, vb);
+    },
+
+    /**
+     * Typo-tolerant name/creator lookup: trigram overlap picks candidates, then they're ranked by the
+     * mean of Levenshtein and Jaro-Winkler similarity against the closest same-length word window
+     * (so "kaname madoka" finds "Madoka Kaname" and "hermoine" finds "Hermione Granger").
+     * `ids` (Set) restricts candidates, e.g. to the rows the Boolean rule let through.
+     * → [{ id, field: "name"|"creator", text, score }] best first.
+     */
+    fuzzyNames(q, { limit = 8, minScore = 0.72, minOverlap = 0.3, ids = null } = {}){
+      const query = foldText(q).replace(/\s+/g, " ").trim();
+      if (query.length < 2) return [];
+      const { entries, grams } = ensureTrigramIndex(store);
+      const qGrams = trigrams(query);
+      const hits = new Map();
+      for (const g of qGrams) for (const e of grams.get(g) || []) hits.set(e, (hits.get(e) || 0) + 1);
+
+      const need = Math.max(1, Math.ceil(qGrams.size * minOverlap));
+      const qWords = query.split(" ");
+      const qSorted = qWords.slice().sort().join(" ");
+      const sim = (a, b) => (this.levenshteinSimilarity(a, b) + this.jaroWinklerSimilarity(a, b)) / 2;
+
+      const scored = [];
+      for (const [e, n] of hits){
+        if (n < need) continue;
+        const { id, field, text, folded } = entries[e];
+        if (ids && !ids.has(id)) continue;
+        const words = folded.split(" ");
+        let best = sim(query, folded);
+        // every run of as many words as the query has, in order and sorted (word swaps)
+        for (let i = 0; i + qWords.length <= words.length; i++){
+          const win = words.slice(i, i + qWords.length);
+          best = Math.max(best, sim(query, win.join(" ")), sim(qSorted, win.slice().sort().join(" ")));
+        }
+        if (best >= minScore) scored.push({ id, field, text, score: best });
+      }
+      scored.sort((a, b) => b.score - a.score || a.text.localeCompare(b.text));
+      return scored.slice(0, limit);
+    },
+
+    levenshteinSimilarity(a, b){
+      const maxLen = Math.max(a.length, b.length);
+      if (maxLen === 0) return 1;
+      const dist = this.levenshteinDistance(a, b);
+      return 1 - (dist / maxLen);
+    },
+
+    levenshteinDistance(a, b){
+      const matrix = Array(b.length + 1).fill(null).map(() => Array(a.length + 1).fill(null));
+      for (let i = 0; i <= a.length; i++) matrix[0][i] = i;
+      for (let j = 0; j <= b.length; j++) matrix[j][0] = j;
+      for (let j = 1; j <= b.length; j++){
+        for (let i = 1; i <= a.length; i++){
+          const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+          matrix[j][i] = Math.min(
+            matrix[j][i - 1] + 1,
+            matrix[j - 1][i] + 1,
+            matrix[j - 1][i - 1] + cost
+          );
+        }
+      }
+      return matrix[b.length][a.length];
+    },
+
+    jaroWinklerSimilarity(a, b){
+      const jaro = this.jaroSimilarity(a, b);
+      if (jaro < 0.7) return jaro;
+      let prefix = 0;
+      for (let i = 0; i < Math.min(a.length, b.length, 4); i++){
+        if (a[i] === b[i]) prefix++;
+        else break;
+      }
+      return jaro + (0.1 * prefix * (1 - jaro));
+    },
+
+    jaroSimilarity(a, b){
+      if (a === b) return 1;
+      const len1 = a.length, len2 = b.length;
+      if (len1 === 0 || len2 === 0) return 0;
+      const matchWindow = Math.floor(Math.max(len1, len2) / 2) - 1;
+      const matches1 = new Array(len1).fill(false);
+      const matches2 = new Array(len2).fill(false);
+      let matches = 0, transpositions = 0;
+      for (let i = 0; i < len1; i++){
+        const start = Math.max(0, i - matchWindow);
+        const end = Math.min(i + matchWindow + 1, len2);
+        for (let j = start; j < end; j++){
+          if (matches2[j] || a[i] !== b[j]) continue;
+          matches1[i] = matches2[j] = true;
+          matches++;
+          break;
+        }
+      }
+      if (matches === 0) return 0;
+      let k = 0;
+      for (let i = 0; i < len1; i++){
+        if (!matches1[i]) continue;
+        while (!matches2[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+      }
+      return (matches / len1 + matches / len2 + (matches - transpositions / 2) / matches) / 3;
+    },
+
+    lcsSimilarity(a, b){
+      const lcs = this.longestCommonSubsequence(a, b);
+      const maxLen = Math.max(a.length, b.length);
+      return maxLen ? lcs / maxLen : 1;
+    },
+
+    longestCommonSubsequence(a, b){
+      const m = a.length, n = b.length;
+      const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
+      for (let i = 1; i <= m; i++){
+        for (let j = 1; j <= n; j++){
+          if (a[i - 1] === b[j - 1]){
+            dp[i][j] = dp[i - 1][j - 1] + 1;
+          } else {
+            dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
+          }
+        }
+      }
+      return dp[m][n];
+    },
+
+    semanticHashSimilarity(a, b){
+      const hashA = this.simpleSemanticHash(a);
+      const hashB = this.simpleSemanticHash(b);
+      let matches = 0;
+      for (let i = 0; i < Math.min(hashA.length, hashB.length); i++){
+        if (hashA[i] === hashB[i]) matches++;
+      }
+      return Math.max(hashA.length, hashB.length) ? matches / Math.max(hashA.length, hashB.length) : 0;
+    },
+
+    simpleSemanticHash(text){
+      const words = text.toLowerCase().split(/\W+/).filter(Boolean);
+      const features = new Map();
+      for (const word of words){
+        features.set(word, (features.get(word) || 0) + 1);
+      }
+      const sorted = Array.from(features.entries()).sort((a, b) => b[1] - a[1]);
+      return sorted.slice(0, 32).map(([word]) => word).join('');
+    },
+
+
+    /**
+     * Rocchio query vectors for several references: mean of the unit-length positive vectors minus
+     * negWeight × the mean of the negative ones, over idf-weighted tags and BM25 text vectors.
+     * → { tag: Map, text: Map | null } (text only when includeText), for combinedSimilarity.
+     */
+    rocchioCentroid(positives, negatives = [], { weightTags = true, includeText = true, negWeight = 0.5 } = {}){
+      const ti = includeText ? (store.textIndex?.built ? store.textIndex : buildTextIndex(store)) : null;
+      const tag = new Map(), text = ti ? new Map() : null;
+      const add = (acc, vec, w) => {
+        if (!acc || !vec) return;
+        let n = 0;
+        for (const v of vec.values()) n += v * v;
+        if (!n) return;
+        n = Math.sqrt(n);
+        for (const [k, v] of vec) acc.set(k, (acc.get(k) || 0) + w * v / n);
+      };
+      const rowsOf = (ids) => (ids || []).map(id => store.byId.get(id)).filter(Boolean);
+      const pos = rowsOf(positives), neg = rowsOf(negatives);
+      for (const r of pos){ add(tag, tagVector(r, weightTags), 1 / pos.length); add(text, ti?.vecs.get(r.id), 1 / pos.length); }
+      for (const r of neg){ add(tag, tagVector(r, weightTags), -negWeight / neg.length); add(text, ti?.vecs.get(r.id), -negWeight / neg.length); }
+      return { tag, text };
+    },
+
+    /** Combined similarity: alpha*tag + (1-alpha)*text
+        opts: { tagMode:'jaccard'|'cosine', descMode:'cosine', weightTags:true, includeText:true, alpha:0.6, ngramMin:1, ngramMax:3 }
+        `aId` may be a rocchioCentroid(); both parts are then cosines against it (tag and BM25 vectors). */
+    combinedSimilarity(aId, bId, opts = {}){
+      const {
+        tagMode = 'cosine',
+        descMode = 'cosine',
+        weightTags = true,
+        includeText = true,
+        includeTags = true,
+        alpha = 0.6,
+        idfMul = 1,
+        ngramMin = 1,
+        ngramMax = 3
+      } = opts;
+
+      if (aId && typeof aId === "object"){
+        const B = store.byId.get(bId);
+        if (!B) return 0;
+        const sTag = includeTags ? cosineSimSparse(aId.tag, tagVector(B, weightTags)) : 0;
+        const ti = includeText && aId.text ? (store.textIndex?.built ? store.textIndex : buildTextIndex(store)) : null;
+        const sText = ti ? cosineSimSparse(aId.text, ti.vecs.get(bId)) : 0;
+        if (includeTags && includeText) return alpha * sTag + (1 - alpha) * sText;
+        return includeTags ? sTag : sText;
+      }
+
+      const A = store.byId.get(aId), B = store.byId.get(bId);
+      if (!A || !B) return 0;
+
+      let sTag = 0, sText = 0;
+
+      if (includeTags){
+        sTag = this.tagSimilarity(A, B, { mode: tagMode, weightTags, idfMul });
+      }
+      if (includeText){
+        sText = this.textSimilarityById(aId, bId, { mode: descMode, ngramMin, ngramMax });
+      }
+
+      if (includeTags && includeText) return alpha * sTag + (1 - alpha) * sText;
+      if (includeTags) return sTag;
+      if (includeText) return sText;
+      return 0;
+    },
+
+    /**
+     * Breakdown of combinedSimilarity(aId, bId, opts): { score, tag, text, alpha, includeTags, includeText,
+     * sharedTags: [{ tag, idf }], sharedNgrams: [{ gram, weight }] } — n-grams are the shared terms that
+     * drive the text component (BM25 weight products for index-based modes, min(count) for n-gram modes;
+     * empty for character-level modes). With several references or `negatives` (see rankSimilar) the
+     * components are cosines against the rocchioCentroid, and shared means "weighted up by the centroid".
+     */
+    explainSimilarity(aId, bId, opts = {}){
+      const {
+        tagMode = 'cosine', descMode = 'cosine', weightTags = true, includeText = true, includeTags = true,
+        alpha = 0.6, idfMul = 1, ngramMin = 1, ngramMax = 3, negatives = []
+      } = opts;
+      if (Array.isArray(aId) && aId.length === 1 && !negatives.length) aId = aId[0];
+      if (Array.isArray(aId) || negatives.length){
+        const B = store.byId.get(bId);
+        if (!B) return null;
+        const centroid = this.rocchioCentroid([].concat(aId), negatives, opts);
+        const part = (on) => this.combinedSimilarity(centroid, bId, { ...opts, includeTags: on === "tag", includeText: on === "text" });
+        const sharedTags = B.tags.filter(t => centroid.tag.get(t) > 0)
+          .map(tag => ({ tag, idf: store.idf[tag] || 0 }))
+          .sort((x, y) => centroid.tag.get(y.tag) - centroid.tag.get(x.tag) || x.tag.localeCompare(y.tag));
+        const sharedNgrams = [];
+        const vb = centroid.text && (store.textIndex?.built ? store.textIndex : buildTextIndex(store)).vecs.get(bId);
+        if (vb) for (const [gram, w] of vb){ const c = centroid.text.get(gram); if (c > 0) sharedNgrams.push({ gram, weight: w * c }); }
+        sharedNgrams.sort((x, y) => y.weight - x.weight);
+        sharedNgrams.length = Math.min(sharedNgrams.length, 40);
+        return {
+          score: this.combinedSimilarity(centroid, bId, opts),
+          tag: includeTags ? part("tag") : 0,
+          text: includeText ? part("text") : 0,
+          alpha, includeTags, includeText, tagMode: "cosine to centroid", descMode: "BM25 cosine to centroid",
+          sharedTags, sharedNgrams
+        };
+      }
+      const A = store.byId.get(aId), B = store.byId.get(bId);
+      if (!A || !B) return null;
+
+      const bTags = new Set(B.tags);
+      const sharedTags = A.tags.filter(t => bTags.has(t))
+        .map(tag => ({ tag, idf: store.idf[tag] || 0 }))
+        .sort((x, y) => y.idf - x.idf || x.tag.localeCompare(y.tag));
+
+      const sharedNgrams = [];
+      if (includeText && descMode !== "none"){
+        const range = similarityNgramRange(descMode, ngramMin, ngramMax);
+        if (range){
+          const count = (row) => {
+            const tf = new Map();
+            const text = htmlToPlainText(row.creator_notes) + " " + htmlToPlainText(row.description);
+            for (const t of tokenizeText(text, { minN: range[0], maxN: range[1] })) tf.set(t, (tf.get(t) || 0) + 1);
+            return tf;
+          };
+          const ca = count(A), cb = count(B);
+          for (const [gram, n] of ca) if (cb.has(gram)) sharedNgrams.push({ gram, weight: Math.min(n, cb.get(gram)) });
+        } else if (!["levenshtein", "jaro-winkler", "lcs", "semantic-hash"].includes(descMode)){
+          const ti = store.textIndex?.built ? store.textIndex : buildTextIndex(store);
+          const va = ti.vecs.get(aId), vb = ti.vecs.get(bId);
+          if (va && vb) for (const [gram, w] of va) if (vb.has(gram)) sharedNgrams.push({ gram, weight: w * vb.get(gram) });
+        }
+        sharedNgrams.sort((x, y) => y.weight - x.weight || y.gram.length - x.gram.length);
+        sharedNgrams.length = Math.min(sharedNgrams.length, 40);
+      }
+
+      return {
+        score: this.combinedSimilarity(aId, bId, opts),
+        tag: includeTags ? this.tagSimilarity(A, B, { mode: tagMode, weightTags, idfMul }) : 0,
+        text: includeText ? this.textSimilarityById(aId, bId, { mode: descMode, ngramMin, ngramMax }) : 0,
+        alpha, includeTags, includeText, tagMode, descMode, sharedTags, sharedNgrams
+      };
+    },
+
+    /** Per-tag contributions to the weights score (as sort() computes it): [{ tag, weight }], unweighted tags left out. */
+    explainWeights(row, weightsInput = ""){
+      const out = [];
+      const weights = new Map();
+      for (const [t, w] of parseWeights(weightsInput)) weights.set(canonicalTag(store.tagMapping, t), w);
+      if (!row || !weights.size) return out;
+      for (const tag of row.tags){
+        const w = weights.get(tag);
+        if (w) out.push({ tag, weight: w });
+      }
+      return out.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight) || a.tag.localeCompare(b.tag));
+    },
+
+    /** Rank every other row against a reference: optional "min shared tags" pre-filter, then combinedSimilarity.
+        `refId` may be a list of positive references, and `negatives` lists cards to steer away from; then rows
+        are scored against their rocchioCentroid (min shared tags counts tags of any positive).
+        A single reference with a neighbour-graph list and a setting the graph covers only scores that list.
+        Returns [{ id, score }] sorted desc (ties by name), capped at `limit`. */
+    rankSimilar(refId, { minShared = 0, limit = Infinity, negatives = [], ...opts } = {}){
+      const refs = (Array.isArray(refId) ? refId : [refId]).filter(id => store.byId.has(id));
+      if (!refs.length) return [];
+      const multi = refs.length > 1 || negatives.length > 0;
+      const target = multi ? this.rocchioCentroid(refs, negatives, opts) : refs[0];
+      const skip = new Set([...refs, ...negatives]);
+      const refSet = new Set(refs.flatMap(id => store.byId.get(id).tags || []).map(String));
+      const graphList = !multi && neighborGraphCovers({ ...opts, limit }) ? store.neighborGraph?.lists.get(refs[0]) : null;
+      const candidates = graphList ? graphList.map(id => store.byId.get(id)).filter(Boolean) : store.rows;
+      const scored = [];
+      for (const r of candidates){
+        if (skip.has(r.id)) continue;
+        if (minShared){
+          let c = 0;
+          for (const t of r.tags) { if (refSet.has(t)) { c++; if (c >= minShared) break; } }
+          if (c < minShared) continue;
+        }
+        scored.push({ row: r, score: this.combinedSimilarity(target, r.id, opts) });
+      }
+      scored.sort((a,b)=> b.score - a.score || String(a.row.name||'').localeCompare(String(b.row.name||'')));
+      const out = isFinite(limit) ? scored.slice(0, limit) : scored;
+      return out.map(s => ({ id: s.row.id, score: s.score }));
+    },
+
+
+    /** Tag patterns in an expression and what they resolve to: [{ pattern, tags: string[], error? }] */
+    tagPatterns(expr){
+      const be = parseBoolExpr(expr, { tagMapping: store.tagMapping });
+      return (be.ast || []).filter(n => n.type === "pattern").map(n => ({
+        pattern: n.pattern, tags: Array.from(expandTagPattern(n, store)), error: n.error
+      }));
+    },
+
+    /** Filter rows by boolean tag expression (string; evaluated over tag bitsets), then optional tag count range and rarity range. */
+    filter({ expr, tagCountMin = 0, tagCountMax = 1e9, rarityMin = -1e9, rarityMax = 1e9 }){
+      const be = parseBoolExpr(expr, { tagMapping: store.tagMapping });
+      const candidates = be.ast ? rowsFromBits(store, evalBoolBits(be, store)) : store.rows;
+      const out = [];
+      for (const r of candidates){
+        if (r.tag_count < tagCountMin || r.tag_count > tagCountMax) continue;
+        if (r.sigma_idf < rarityMin || r.sigma_idf > rarityMax) continue;
+        out.push(r);
+      }
+      return out;
+    },
+    /**
+     * Row → score for a weights input: the `score = …` formula when it has one (see parseScoreFormula;
+     * NaN counts as -Infinity), else Σ weight("tag"). A formula with errors falls back to the tag weights.
+     */
+    scorer(weightsInput = ""){
+      const weights = new Map();
+      for (const [t, w] of parseWeights(weightsInput)) weights.set(canonicalTag(store.tagMapping, t), w);
+      const formula = parseScoreFormula(weightsInput);
+      if (!formula?.eval) return (row) => scoreRow(row, weights);
+      return (row) => {
+        const v = formula.eval(row, scoreRow(row, weights));
+        return Number.isNaN(v) ? -Infinity : v;
+      };
+    },
+
+    /**
+     * Sort rows in place by an ordered list of keys, each { by, dir: "asc"|"desc" } (see SORT_KEYS);
+     * later keys break ties of earlier ones, and name (A → Z) breaks whatever ties remain.
+     * A single { by, dir } still works. by "score" uses scorer(weightsInput).
+     */
+    sort(rows, { by = "score", dir = "desc", keys = null, weightsInput = "" } = {}){
+      const list = (Array.isArray(keys) && keys.length ? keys : [{ by, dir }]).filter(k => SORT_KEYS.includes(k?.by));
+      if (!list.some(k => k.by === "name")) list.push({ by: "name", dir: "asc" });
+      let scores = null;
+      if (list.some(k => k.by === "score")){
+        const scoreOf = this.scorer(weightsInput);
+        scores = new Map();
+        for (const r of rows) scores.set(r, scoreOf(r));
+      }
+      const cmps = list.map(({ by: key, dir: d }) => {
+        const mul = d === "asc" ? 1 : -1;
+        if (key === "score") return (a, b) => { const sa = scores.get(a), sb = scores.get(b); return mul * (sa === sb ? 0 : sa - sb); };
+        if (key === "name" || key === "creator") return (a, b) => mul * String(a[key]||"").localeCompare(String(b[key]||""));
+        if (key === "character_version") return (a, b) => mul * compareVersions(a[key], b[key]);
+        return (a, b) => mul * ((Number(a[key])||0) - (Number(b[key])||0));
+      });
+      rows.sort((a, b) => {
+        for (const cmp of cmps){
+          const c = cmp(a, b);
+          if (c) return c;
+        }
+        return 0;
+      });
+      return rows;
+    },
+    /** Simple token search on name/creator */
+    searchTokens(q){
+      const toks = Array.from(new Set(tokenizeName(q, { query: true })));
+      if (!toks.length) return new Set(store.rows.map(r=>r.id));
+      let current;
+      for (const t of toks){
+        const s = store.tokenMap.get(t) || new Set();
+        current = current ? new Set([...current].filter(x => s.has(x))) : new Set(s);
+        if (!current.size) break;
+      }
+      return current || new Set();
+    },
+
+    /**
+     * Search-box query (see parseSearchQuery) → Map<id, relevance> of the rows it matches.
+     * Relevance is BM25 over the text index's notes + description counts (phrases also score their
+     * bigrams) with full document frequencies, plus flat boosts for name (8) and creator (3) hits and the
+     * per-field scores of searchFields(positive terms, fieldWeights). Hydrated fields only match through
+     * searchFields, so a field that isn't enabled there never makes a row match.
+     */
+    searchText(q, { fieldWeights = null } = {}){
+      const out = new Map();
+      const ctx = prepareSearch(this, q, fieldWeights);
+      if (!ctx) return out;
+      for (const r of store.rows){
+        const s = scoreSearchRow(ctx, r);
+        if (s != null) out.set(r.id, s);
+      }
+      return out;
+    },
+
+    /**
+     * Why a row does (or doesn't) match the search box: { relevance (null = no match), excludedBy,
+     * clauses: [[{ text, hit }]], name, creator, terms: [{ term, score }], fields }.
+     */
+    explainSearch(q, id, { fieldWeights = null } = {}){
+      const ctx = prepareSearch(this, q, fieldWeights);
+      const row = store.byId.get(id);
+      if (!ctx || !row) return null;
+      const parts = { excludedBy: null, clauses: [], name: 0, creator: 0, terms: [], fields: 0 };
+      parts.relevance = scoreSearchRow(ctx, row, parts);
+      return parts;
+    },
+
+    /**
+     * Field-scoped BM25 search. weights = { [field]: weight } for the enabled CARD_FIELDS.
+     * Each field's scores are scaled to 0..1 by its best hit, then weighted and summed: Map<id, score>.
+     */
+    searchFields(q, weights = {}){
+      const out = new Map();
+      if (!String(q || "").trim()) return out;
+      for (const [field, w] of Object.entries(weights || {})){
+        if (!CARD_FIELDS.includes(field) || !(w > 0)) continue;
+        const scores = scoreFieldIndex(ensureFieldIndex(store, field), q);
+        let max = 0;
+        for (const v of scores.values()) if (v > max) max = v;
+        if (!max) continue;
+        for (const [id, v] of scores) out.set(id, (out.get(id) || 0) + w * (v / max));
+      }
+      return out;
+    }
+  };
+}
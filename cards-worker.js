@@ -0,0 +1,280 @@
+/**
+ * cards-worker.js
+ * Indexing worker for the Tag Explorer SPA (module worker, spawned by cards-backend.js).
+ *
+ * - Owns the full store (rows keep `raw`) and the BM25 text index
+ * - Persists the built store + text index to IndexedDB; the next ingest only re-normalizes
+ *   characters whose fingerprint changed
+ * - Requests: { id, op, args } → replies { id, result } | { id, error }; handled strictly in order
+ * - While a request runs, streams { type:'progress', p, msg, status } for the overlay
+ * - Once the store settles, builds the top-K neighbour graph in the background, one chunk per turn
+ *   between requests, streaming { type:'graph', done, total } (rankSimilar answers from it)
+ * - Ops:
+ *     ingest({ payload, tagMapping }) → store snapshot for the main-thread mirror
+ *     setTagMapping(mapping)    → store snapshot (rows re-tagged under the new aliases/parents)
+ *     delta(delta)              → { counts, patch } (patch is replayed on the mirror)
+ *     missingFields()           → ids of rows not hydrated yet
+ *     hydrate(items)            → number of rows that got full-card fields (same items go to the mirror)
+ *     textIndex()               → { docs, vocabSize }
+ *     searchFields({ q, weights }) → [[id, score]] (per-field BM25, see makeQueryAPI().searchFields)
+ *     search({ q, fieldWeights }) → [[id, relevance]] for the rows the search box matches (see searchText)
+ *     similar({ refId, ...opts }) → [{ id, score }] (refId may be a list; opts.negatives steer away)
+ *     explain({ id, q, fieldWeights, refId, simOpts }) → { search, similarity } breakdowns (null when not asked)
+ *     duplicates({ threshold })  → [{ ids, score, pairs }] near-duplicate groups (see findDuplicates)
+ *     clusters({ k, alpha })     → { clusters: [{ ids, size, cohesion, labels }], skipped, iterations } (clusterLibrary)
+ *     layout({ alpha })          → { ids, x, y, skipped } 2D map (layoutLibrary; kept until the store changes)
+ *     clearCache()              → true
+ */
+
+import {
+  STORE_VERSION, buildStore, restoreStore, retagStore, normalizeTagMapping, applyDelta, applyHydration,
+  missingFieldIds, buildTextIndex, neighborGraphBuilder, findDuplicates, clusterLibrary, layoutLibrary, makeQueryAPI
+} from "./cards-core.js";
+import { cacheGet, cachePut, cacheDelete } from "./cards-cache.js";
+
+const CACHE_KEY = "library";
+const SAVE_DELAY_MS = 1500;
+const GRAPH_DELAY_MS = 3000;  // wait for deltas/hydration batches to settle
+const GRAPH_CHUNK = 100;      // rows per turn; requests queued meanwhile run between chunks
+
+let store = null;
+let query = null;
+
+const progress = (p, msg, status) => self.postMessage({ type: "progress", p, msg, status });
+
+// Rows sent to the main thread (and to the cache) drop the raw character; the payload re-supplies it
+function viewRow(row){
+  const { raw, ...rest } = row;
+  return rest;
+}
+
+function snapshot(s){
+  return {
+    rows: s.rows.map(viewRow),
+    tagToIds: s.tagToIds, tagToDf: s.tagToDf, idf: s.idf,
+    tagNames: s.tagNames, tagUniverse: s.tagUniverse,
+    tokenMap: s.tokenMap, assetToTags: s.assetToTags, errors: s.errors, tagMapping: s.tagMapping
+  };
+}
+
+function requireStore(){
+  if (!store) throw new Error("No store yet (ingest first)");
+}
+
+function ensureTextIndex(){
+  if (store.textIndex?.built) return store.textIndex;
+  const ti = buildTextIndex(store, { onProgress: progress });
+  scheduleSave();
+  return ti;
+}
+
+/* ------------------------------ Persistence ------------------------------ */
+
+let saveTimer = null;
+function scheduleSave(){
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveCache, SAVE_DELAY_MS);
+}
+
+async function saveCache(){
+  if (!store) return;
+  const t0 = performance.now();
+  const { assetToTags, errors, ...rest } = snapshot(store);
+  const ok = await cachePut(CACHE_KEY, {
+    version: STORE_VERSION,
+    savedAt: Date.now(),
+    ...rest,
+    textIndex: store.textIndex?.built ? store.textIndex : null,
+    textDocs: store.textIndex?.built ? null : (store.textDocCache || null),
+    neighborGraph: store.neighborGraph || null
+  });
+  if (ok) console.log(`[cards-worker] Cache saved in ${(performance.now() - t0).toFixed(1)}ms`);
+}
+
+async function loadCache(){
+  const cached = await cacheGet(CACHE_KEY);
+  if (!cached) return null;
+  if (cached.version !== STORE_VERSION || !Array.isArray(cached.rows)){
+    console.log("[cards-worker] Discarding cache from another store version");
+    return null;
+  }
+  return cached;
+}
+
+/* ---------------------------- Neighbour graph ---------------------------- */
+
+let graphTimer = null;
+let graphJob = null;
+
+// Any store change restarts the build (it holds postings over the old rows); finished lists are kept
+function scheduleGraph(){
+  clearTimeout(graphTimer);
+  graphJob = null;
+  graphTimer = setTimeout(() => {
+    const job = {};
+    graphJob = job;
+    graphStep(job);
+  }, GRAPH_DELAY_MS);
+}
+
+function graphStep(job){
+  chain = chain.then(() => {
+    if (job !== graphJob || !store) return;
+    if (!job.builder){
+      ensureTextIndex();
+      job.builder = neighborGraphBuilder(store);
+      job.t0 = performance.now();
+    }
+    const finished = job.builder.step(GRAPH_CHUNK);
+    self.postMessage({ type: "graph", done: job.builder.done, total: job.builder.total });
+    if (!finished){ setTimeout(() => graphStep(job), 0); return; }
+    graphJob = null;
+    if (job.builder.total){
+      console.log(`[cards-worker] Neighbour graph: ${job.builder.total} rows in ${(performance.now() - job.t0).toFixed(0)}ms`);
+      scheduleSave();
+    }
+  }).catch(err => console.error("[cards-worker] Neighbour graph failed:", err));
+}
+
+/* ---------------------------------- Ops ---------------------------------- */
+
+const ops = {
+  async ingest({ payload, tagMapping } = {}){
+    progress(.03, "Opening cache", "Loading cached index…");
+    store = null; // a re-ingest (reconnect) starts over from cache + payload
+    let cached = await loadCache();
+    let changed = true;
+    let textDocs = null;
+    if (cached && (cached.tagMapping?.hash || "") !== normalizeTagMapping(tagMapping).hash){
+      // Every row's tags change with the mapping; rebuild, but keep the text term counts (tag-independent)
+      console.log("[cards-worker] Tag mapping changed since the cache was saved; rebuilding rows");
+      textDocs = cached.textIndex?.docTf || cached.textDocs || null;
+      cached = null;
+    }
+    if (cached){
+      try {
+        const res = restoreStore(payload, cached, { onProgress: progress });
+        store = res.store;
+        changed = !!(res.changed || res.removed);
+      } catch (err){
+        console.warn("[cards-worker] Cache restore failed; rebuilding", err);
+        store = null;
+      }
+    }
+    if (!store){
+      store = buildStore(payload, { onProgress: progress, tagMapping });
+      store.textDocCache = textDocs;
+    }
+    query = makeQueryAPI(store);
+    if (changed) scheduleSave();
+    scheduleGraph();
+    return snapshot(store);
+  },
+
+  delta(d){
+    requireStore();
+    const { counts, patch } = applyDelta(store, d);
+    scheduleSave();
+    scheduleGraph();
+    return { counts, patch: { ...patch, upserts: patch.upserts.map(viewRow) } };
+  },
+
+  setTagMapping(mapping){
+    requireStore();
+    retagStore(store, mapping);
+    query = makeQueryAPI(store);
+    scheduleSave();
+    scheduleGraph();
+    return snapshot(store);
+  },
+
+  missingFields(){
+    requireStore();
+    return missingFieldIds(store);
+  },
+
+  hydrate(items){
+    requireStore();
+    const n = applyHydration(store, items);
+    if (n){ scheduleSave(); scheduleGraph(); }
+    return n;
+  },
+
+  textIndex(){
+    requireStore();
+    const ti = ensureTextIndex();
+    progress(1, "Text index ready");
+    return { docs: ti.docs, vocabSize: ti.vocabSize };
+  },
+
+  searchFields({ q, weights } = {}){
+    requireStore();
+    return Array.from(query.searchFields(q, weights));
+  },
+
+  search({ q, fieldWeights } = {}){
+    requireStore();
+    ensureTextIndex();
+    return Array.from(query.searchText(q, { fieldWeights }));
+  },
+
+  similar({ refId, ...opts } = {}){
+    requireStore();
+    if (opts.includeText) ensureTextIndex();
+    return query.rankSimilar(refId, opts);
+  },
+
+  explain({ id, q, fieldWeights, refId, simOpts } = {}){
+    requireStore();
+    if (q || simOpts?.includeText) ensureTextIndex();
+    return {
+      search: q ? query.explainSearch(q, id, { fieldWeights }) : null,
+      similarity: refId != null ? query.explainSimilarity(refId, id, simOpts || {}) : null
+    };
+  },
+
+  duplicates({ threshold } = {}){
+    requireStore();
+    return findDuplicates(store, { threshold });
+  },
+
+  clusters({ k, alpha } = {}){
+    requireStore();
+    if (alpha < 1) ensureTextIndex();
+    return clusterLibrary(store, { k, alpha, onProgress: progress });
+  },
+
+  layout({ alpha = 0.6 } = {}){
+    requireStore();
+    if (store.mapLayout?.alpha !== alpha){
+      if (alpha < 1) ensureTextIndex();
+      store.mapLayout = { alpha, ...layoutLibrary(store, { alpha, onProgress: progress }) };
+    }
+    const { ids, x, y, skipped } = store.mapLayout;
+    return { ids, x, y, skipped };
+  },
+
+  async clearCache(){
+    clearTimeout(saveTimer);
+    return cacheDelete(CACHE_KEY);
+  }
+};
+
+// Ops may be async (IndexedDB); chain them so deltas never overtake the ingest they patch
+let chain = Promise.resolve();
+self.onmessage = (ev) => {
+  const { id, op, args } = ev.data || {};
+  chain = chain.then(async () => {
+    const fn = ops[op];
+    if (!fn){
+      self.postMessage({ id, error: `Unknown op: ${op}` });
+      return;
+    }
+    try {
+      self.postMessage({ id, result: await fn(args) });
+    } catch (err){
+      console.error(`[cards-worker] ${op} failed:`, err);
+      self.postMessage({ id, error: String(err?.message || err) });
+    }
+  });
+};
@@ -1,11 +1,22 @@
-import { renderExtensionTemplateAsync } from "../../../extensions.js";
+import { renderExtensionTemplateAsync, extension_settings } from "../../../extensions.js";
 import { tags as tagsStore, tag_map } from "../../../tags.js";
-import { characters as charactersStore, selectCharacterById, unshallowCharacter } from "../../../../script.js";
+import { characters as charactersStore, selectCharacterById, unshallowCharacter, eventSource, event_types, saveSettingsDebounced } from "../../../../script.js";
+import { createRpc, RpcError, PROTOCOL_VERSION, LOBBY, makeId, channelName } from "./ps-rpc.js";
+import { extractCardFields, extractCardMeta, hashString } from "./cards-core.js";
+
+const SETTINGS_KEY = "st-char-powersearch";
+const defaultSettings = { hydrate: false };
+
+function getSettings() {
+  extension_settings[SETTINGS_KEY] = { ...defaultSettings, ...(extension_settings[SETTINGS_KEY] || {}) };
+  return extension_settings[SETTINGS_KEY];
+}
 
 async function initSettings() {
   const html = await renderExtensionTemplateAsync("third-party/st-char-powersearch", "settings");
   jQuery(document.getElementById("extensions_settings")).append(html);
   bindOpenButton();
+  bindHydrateToggle();
 
   const $groupBtn = jQuery("#rm_button_group_chats");
 
@@ -66,101 +77,366 @@ function flashTitle(times, interval = 500, alertText = "⚠️ ALERT ⚠️") {
 
 jQuery(() => { 
   initSettings(); 
+  whenAppReady(() => { restoreSessions(); listenLobby(); });
 });
 
-// ---------------- Open SPA + Broadcast (RAW, unchanged) ----------------
-function bindOpenButton(){
-  const $btn = jQuery("#char-powersearch_open");
-  if (!$btn.length) return;
-  $btn.off("click.charPowersearch").on("click.charPowersearch", ()=>{
-    const url = "/scripts/extensions/third-party/st-char-powersearch/char_powersearch.html";
-    const win = window.open(url, "_blank");
-
-const payload = structuredClone
-  ? structuredClone({ characters: charactersStore, tags: tagsStore, tag_map })
-  : { characters: JSON.parse(JSON.stringify(charactersStore)),
-      tags: JSON.parse(JSON.stringify(tagsStore)),
-      tag_map: JSON.parse(JSON.stringify(tag_map)) };
-
-  for (let i = 0; i < payload.characters.length; i++) {
-    payload.characters[i].id = i;
-  }
-
-  if (!("BroadcastChannel" in window)) { alert("BroadcastChannel not supported in this browser"); return; }
+// ---------------- Live sync: diff ST stores → delta messages ----------------
+function charHash(c){
+  const mapTags = (c && c.avatar && tag_map[c.avatar]) || [];
+  return hashString(JSON.stringify(c) + "|" + JSON.stringify(mapTags));
+}
 
-  const chan = new BroadcastChannel("cards-data");
+/** Row id of a character: its avatar file (stable across deletes and reorders), else its array position. */
+function charId(c, index){
+  return c?.avatar ? String(c.avatar) : `#${index}`;
+}
 
-  let gotReady = false;
-  let tries = 0;
-  const intervalMs = 250;
+/** Current array position of the character with row id `id` (-1 when it is gone). */
+function charIndex(id){
+  const key = String(id);
+  return charactersStore.findIndex((c, i) => charId(c, i) === key);
+}
 
-  // 1) Send once immediately to avoid a race where ready arrives first
-  try { chan.postMessage(payload); } catch {}
+// Cheap enough for the poll: the character count plus the (small) tag stores, no per-character hashing
+function tagsHashOf(){
+  return hashString(JSON.stringify(tagsStore) + "|" + JSON.stringify(tag_map));
+}
 
-  chan.onmessage = (ev) => {
-    console.log(ev)
+/** Snapshot of what the consumer currently has: row id → hash, plus the character count and tags hash. */
+function snapshotStores(){
+  const chars = new Map();
+  for (let i = 0; i < charactersStore.length; i++) chars.set(charId(charactersStore[i], i), charHash(charactersStore[i]));
+  return { chars, count: charactersStore.length, tags: tagsHashOf() };
+}
 
-    const d = ev?.data;
-    if (!d) return;  
+/** Diff the live ST stores against `snap` (updated in place); returns a delta or null if nothing changed. */
+function diffStores(snap){
+  const upserts = [];
+  const removes = [];
+  const deltaTagMap = {};
+  const seen = new Set();
+  for (let i = 0; i < charactersStore.length; i++){
+    const c = charactersStore[i];
+    const id = charId(c, i);
+    seen.add(id);
+    const h = charHash(c);
+    if (snap.chars.get(id) === h) continue;
+    snap.chars.set(id, h);
+    const copy = structuredClone ? structuredClone(c) : JSON.parse(JSON.stringify(c));
+    copy.id = id;
+    upserts.push(copy);
+    if (c?.avatar) deltaTagMap[c.avatar] = structuredClone ? structuredClone(tag_map[c.avatar] || []) : [...(tag_map[c.avatar] || [])];
+  }
+  for (const id of Array.from(snap.chars.keys())){
+    if (!seen.has(id)){ snap.chars.delete(id); removes.push(id); }
+  }
+  snap.count = charactersStore.length;
+  const tagsHash = tagsHashOf();
+  const tagsChanged = tagsHash !== snap.tags;
+  snap.tags = tagsHash;
+
+  if (!upserts.length && !removes.length && !tagsChanged) return null;
+  const delta = { upserts, removes, tag_map: deltaTagMap };
+  if (tagsChanged) delta.tags = structuredClone ? structuredClone(tagsStore) : JSON.parse(JSON.stringify(tagsStore));
+  return delta;
+}
 
-    if (d.type === "ps-ready") {
-      gotReady = true;
-      try { chan.postMessage(payload); } catch {}
-      return;
+const WATCH_EVENTS = [
+  "CHARACTER_EDITED", "CHARACTER_DELETED", "CHARACTER_DUPLICATED", "CHARACTER_RENAMED",
+  "CHARACTER_PAGE_LOADED", "CHAT_CHANGED"
+];
+
+/**
+ * Push deltas through `send` until stopped. ST character events (debounced) run the full diff; the slow
+ * poll only compares the character count and the tags hash, and runs the full diff when either moved
+ * (imports, tag edits).
+ */
+function startLiveSync(send, snap, { pollMs = 4000, debounceMs = 400 } = {}){
+  let pending = null;
+  const flush = () => {
+    pending = null;
+    try {
+      const delta = diffStores(snap);
+      if (delta) send(delta);
+    } catch (err) {
+      console.warn("[Powersearch] live sync error", err);
     }
+  };
+  const schedule = () => {
+    if (pending) return;
+    pending = setTimeout(flush, debounceMs);
+  };
 
-    if (d.type === "request-details" && d.id != null) {
-      (async () => {
+  const names = WATCH_EVENTS.map(k => event_types?.[k]).filter(Boolean);
+  for (const n of names) eventSource?.on?.(n, schedule);
+  const poll = setInterval(() => {
+    if (pending) return;
+    if (charactersStore.length !== snap.count || tagsHashOf() !== snap.tags) flush();
+  }, pollMs);
+
+  function stop(){
+    clearInterval(poll);
+    if (pending) clearTimeout(pending);
+    for (const n of names) eventSource?.removeListener?.(n, schedule);
+  }
+  return stop;
+}
+
+// ---------------- Background hydration: unshallow the library in throttled batches ----------------
+const HYDRATE_BATCH = 10;
+const HYDRATE_PAUSE_MS = 250;
+
+/**
+ * Unshallow `ids` a batch at a time and stream their full-card fields through `send`
+ * ({ items: [{ id, avatar, fields, meta }], done, total }). Returns a job handle with cancel().
+ * `getSnap` is the live-sync snapshot: hydrated characters are marked as already sent so
+ * unshallowing doesn't come back as a delta for every card.
+ */
+function runHydration(ids, send, getSnap){
+  const positions = new Map(charactersStore.map((c, i) => [charId(c, i), i]));
+  const todo = (Array.isArray(ids) ? ids : []).filter(id => positions.has(String(id)));
+  const job = { total: todo.length, cancelled: false, cancel() { this.cancelled = true; } };
+
+  (async () => {
+    for (let i = 0; i < todo.length && !job.cancelled; i += HYDRATE_BATCH) {
+      const items = [];
+      for (const id of todo.slice(i, i + HYDRATE_BATCH)) {
+        // Positions shift when characters are deleted mid-run; re-resolve if this one moved
+        let idx = positions.get(String(id));
+        if (charId(charactersStore[idx], idx) !== String(id)) idx = charIndex(id);
+        const before = charactersStore[idx];
+        if (!before) continue;
+        const beforeHash = charHash(before);
         try {
-          await unshallowCharacter(d.id);
-          const fulldata = charactersStore[d.id];
-          chan.postMessage({ type: "details", id: d.id, data: fulldata ?? null });
-        } catch (e) {
-          console.error("[Powersearch] details request failed:", e);
-          chan.postMessage({ type: "details", id: d.id, error: String(e) });
+          if (before.shallow) await unshallowCharacter(idx);
+        } catch (err) {
+          console.warn("[Powersearch] unshallow failed for", idx, err);
+          continue;
         }
-      })();
-      return;
+        const full = charactersStore[idx];
+        const fields = extractCardFields(full);
+        if (fields) items.push({ id, avatar: full.avatar, fields, meta: extractCardMeta(full) });
+        const snap = getSnap();
+        if (snap && snap.chars.get(String(id)) === beforeHash) snap.chars.set(String(id), charHash(full));
+      }
+      if (job.cancelled) break;
+      send({ items, done: Math.min(todo.length, i + HYDRATE_BATCH), total: todo.length });
+      await new Promise(r => setTimeout(r, HYDRATE_PAUSE_MS));
     }
+  })().catch(err => console.error("[Powersearch] hydration failed", err));
 
+  return job;
+}
 
-    if (d.type === "select" && d.id != null) {
-      try {
-          flashTitle(3, 500, "Loading Chat...");
-          selectCharacterById(d.id);
-      } catch (e) {
-        console.error("[Powersearch] selectCharacter failed:", e);
-      }
+function bindHydrateToggle(){
+  const $box = jQuery("#char-powersearch_hydrate");
+  if (!$box.length) return;
+  $box.prop("checked", !!getSettings().hydrate);
+  $box.off("change.charPowersearch").on("change.charPowersearch", () => {
+    const hydrate = !!$box.prop("checked");
+    getSettings().hydrate = hydrate;
+    saveSettingsDebounced();
+    for (const s of sessions.values()) {
+      if (!hydrate) s.stopHydration();
+      s.rpc.notify("settings", { hydrate });
     }
+  });
+}
+
+// ---------------- ST tab identity ----------------
+// sessionStorage is per browser tab and survives reloads, so this id names "this SillyTavern tab"
+const TAB_ID_KEY = "char-powersearch.tabId";
+const tabInfo = (() => {
+  let id = null;
+  try { id = sessionStorage.getItem(TAB_ID_KEY); } catch {}
+  if (!id){
+    id = makeId();
+    try { sessionStorage.setItem(TAB_ID_KEY, id); } catch {}
+  }
+  return { tabId: id, openedAt: Date.now() };
+})();
+
+function describeTab(){
+  return { ...tabInfo, title: document.title, url: location.href };
+}
+
+function clonePayload(){
+  const payload = structuredClone
+    ? structuredClone({ characters: charactersStore, tags: tagsStore, tag_map })
+    : { characters: JSON.parse(JSON.stringify(charactersStore)),
+        tags: JSON.parse(JSON.stringify(tagsStore)),
+        tag_map: JSON.parse(JSON.stringify(tag_map)) };
+
+  for (let i = 0; i < payload.characters.length; i++) {
+    payload.characters[i].id = charId(payload.characters[i], i);
+  }
+  return payload;
+}
+
+/** Run `fn` once ST has loaded its characters (restored sessions must not serve an empty library). */
+function whenAppReady(fn){
+  const ev = event_types?.APP_READY;
+  if (!ev || !eventSource?.on || charactersStore.length) { fn(); return; }
+  let done = false;
+  const once = () => {
+    if (done) return;
+    done = true;
+    eventSource.removeListener?.(ev, once);
+    fn();
   };
+  eventSource.on(ev, once);
+}
 
-  // 3) Keep retrying for ~20s, but allow early exit once ready & a few sends have happened
-  const extraSendsAfterReady = 3;
-  let postReadyCount = 0;
+// ---------------- Sessions: one per Powersearch tab, re-attached after an ST reload ----------------
+const SESSIONS_KEY = "char-powersearch.sessions";
+const HEARTBEAT_MS = 2000;
+const PEER_TIMEOUT_MS = 15000;   // a tab we can't see (no window handle) is gone after this much silence
+const ADOPT_DELAY_MS = 1200;     // other ST tabs give the one the orphan names a head start
+const sessions = new Map();      // session → { rpc, detach }
 
-  const timer = setInterval(() => {
-    try {
-      // if the popup was closed or we've hit limits, stop
-      if (!win || win.closed) {
-        clearInterval(timer); try { chan.close?.(); } catch {}
-        return;
+function storedSessions(){
+  try { return JSON.parse(sessionStorage.getItem(SESSIONS_KEY) || "[]"); } catch { return []; }
+}
+
+function storeSessions(){
+  try { sessionStorage.setItem(SESSIONS_KEY, JSON.stringify(Array.from(sessions.keys()))); } catch {}
+}
+
+/**
+ * Serve one Powersearch session over its own channel. `win` is the popup handle when we opened it;
+ * sessions restored after a reload or adopted from the lobby have none and rely on the tab's pings.
+ */
+function attachSession(session, win = null){
+  if (sessions.has(session)) return sessions.get(session);
+
+  const chan = new BroadcastChannel(channelName(session));
+  let stopLiveSync = null;
+  let snap = null;
+  let hydration = null;
+  let lastSeen = Date.now();
+  const seen = () => { lastSeen = Date.now(); };
+
+  // The Powersearch tab pulls: hello (version handshake) → getLibrary, then asks for details / selection
+  const rpc = createRpc(chan, {
+    label: "Powersearch",
+    session,
+    selfId: tabInfo.tabId,
+    handlers: {
+      hello: () => {
+        seen();
+        return { protocol: PROTOCOL_VERSION, role: "producer", tab: describeTab(), hydrate: !!getSettings().hydrate };
+      },
+
+      // Snapshot and payload are taken together so live sync diffs against exactly what was sent
+      getLibrary: () => {
+        seen();
+        const payload = clonePayload();
+        stopLiveSync?.();
+        snap = snapshotStores();
+        stopLiveSync = startLiveSync((delta) => rpc.notify("delta", delta), snap);
+        return payload;
+      },
+
+      // The tab asks only for ids its cache has no full-card fields for; results stream as `hydrated` events
+      hydrate: ({ ids } = {}) => {
+        seen();
+        if (!getSettings().hydrate) throw new RpcError("E_DISABLED", "Background hydration is turned off");
+        if (!Array.isArray(ids)) throw new RpcError("E_BAD_REQUEST", "hydrate needs an ids array");
+        hydration?.cancel();
+        hydration = runHydration(ids, (batch) => rpc.notify("hydrated", batch), () => snap);
+        return { accepted: hydration.total };
+      },
+
+      getDetails: async ({ id } = {}) => {
+        seen();
+        if (id == null) throw new RpcError("E_BAD_REQUEST", "getDetails needs an id");
+        const idx = charIndex(id);
+        if (idx < 0) return { id, data: null };
+        await unshallowCharacter(idx);
+        return { id, data: charactersStore[idx] ?? null };
+      },
+
+      selectCharacter: ({ id } = {}) => {
+        seen();
+        if (id == null) throw new RpcError("E_BAD_REQUEST", "selectCharacter needs an id");
+        const idx = charIndex(id);
+        if (idx < 0) throw new RpcError("E_NOT_FOUND", "That character no longer exists");
+        flashTitle(3, 500, "Loading Chat...");
+        selectCharacterById(idx);
+        return true;
       }
+    },
+    events: {
+      ping: seen,
+      ingestError: ({ message } = {}) => console.error("[Powersearch] tab failed to load data:", message)
+    }
+  });
 
-      // While not ready, keep broadcasting
-      // After ready, do a few more sends (covers transient timing issues)
-      if (!gotReady || postReadyCount < extraSendsAfterReady) {
-        chan.postMessage(payload);
-        tries++;
-        if (gotReady) postReadyCount++;
+  // Heartbeat both ways: we ping, the tab pings back; tear down once the tab is gone
+  const timer = setInterval(() => {
+    const gone = win ? win.closed : Date.now() - lastSeen > PEER_TIMEOUT_MS;
+    if (gone) { detach(); return; }
+    rpc.notify("ping", { at: Date.now() });
+  }, HEARTBEAT_MS);
+
+  function detach(){
+    clearInterval(timer);
+    hydration?.cancel();
+    stopLiveSync?.();
+    rpc.close();
+    try { chan.close?.(); } catch {}
+    sessions.delete(session);
+    storeSessions();
+  }
+
+  const entry = { rpc, detach, stopHydration: () => hydration?.cancel() };
+  sessions.set(session, entry);
+  storeSessions();
+  rpc.notify("ping", { at: Date.now() });
+  return entry;
+}
+
+function restoreSessions(){
+  for (const session of storedSessions()) {
+    if (typeof session === "string" && session) attachSession(session);
+  }
+}
+
+// Orphaned tabs (their ST tab closed or reloaded without sessionStorage) ask here for a producer
+function listenLobby(){
+  if (!("BroadcastChannel" in window)) return;
+  const lobby = new BroadcastChannel(channelName(LOBBY));
+  createRpc(lobby, {
+    label: "Powersearch lobby",
+    session: LOBBY,
+    selfId: tabInfo.tabId,
+    events: {
+      orphan: ({ session, tabId } = {}) => {
+        if (typeof session !== "string" || !session || sessions.has(session)) return;
+        const delay = tabId === tabInfo.tabId ? 0 : ADOPT_DELAY_MS + Math.random() * 500;
+        setTimeout(() => { if (!sessions.has(session)) attachSession(session); }, delay);
       }
-    } catch (err) {
-      console.warn("[Powersearch] broadcast error, stopping", err);
-      clearInterval(timer); try { chan.close?.(); } catch {}
     }
-  }, intervalMs);
+  });
+}
 
+// Let connected tabs know right away instead of waiting for a missed heartbeat
+window.addEventListener("pagehide", () => {
+  for (const { rpc } of sessions.values()) rpc.notify("bye", { tabId: tabInfo.tabId });
+});
 
+// ---------------- Open SPA ----------------
+function bindOpenButton(){
+  const $btn = jQuery("#char-powersearch_open");
+  if (!$btn.length) return;
+  $btn.off("click.charPowersearch").on("click.charPowersearch", ()=>{
+    if (!("BroadcastChannel" in window)) { alert("BroadcastChannel not supported in this browser"); return; }
 
+    // Each launch gets its own session: channel name + message scope, passed to the tab in the URL
+    const session = makeId();
+    const url = "/scripts/extensions/third-party/st-char-powersearch/char_powersearch.html?session=" + encodeURIComponent(session);
+    const win = window.open(url, "_blank");
+    attachSession(session, win);
   });
 }
 
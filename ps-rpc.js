@@ -0,0 +1,173 @@
+/**
+ * ps-rpc.js
+ * Request/response RPC over a BroadcastChannel, shared by the SillyTavern side (index.js)
+ * and the Powersearch tab (cards-backend.js).
+ *
+ * Envelope: { rpc:'ps', v, session, from, to?, kind:'req'|'res'|'evt', id?, method?, params?, result?, error? }
+ * - Every launch gets its own session id (and channel name, see channelName()); messages from
+ *   another session are dropped even if they share a channel
+ * - `from` is the sender's endpoint id; replies are addressed back with `to`, and once a peer is
+ *   pinned (setPeer) only that endpoint is heard
+ * - call(method, params, { timeoutMs }) → Promise<result>; rejects with RpcError { code, message, data }
+ * - notify(method, params)             → fire-and-forget event
+ * - handlers answer requests (sync or async); thrown errors travel back as structured errors
+ * - Requests for methods we don't handle are ignored, not refused: the channel is a broadcast
+ *   medium and another listener may own that method
+ * - A request carrying a different protocol version is answered with E_VERSION
+ */
+
+export const PROTOCOL = "ps";
+export const PROTOCOL_VERSION = 2;
+export const CHANNEL_PREFIX = "cards-data";
+/** Session of the shared lobby channel, where orphaned Powersearch tabs look for a new producer. */
+export const LOBBY = "lobby";
+
+export const RpcErrorCode = Object.freeze({
+  TIMEOUT: "E_TIMEOUT",
+  VERSION: "E_VERSION",
+  HANDLER: "E_HANDLER",
+  CLOSED:  "E_CLOSED",
+  DISCONNECTED: "E_DISCONNECTED"
+});
+
+export class RpcError extends Error {
+  constructor(code, message, data){
+    super(message);
+    this.name = "RpcError";
+    this.code = code;
+    this.data = data;
+  }
+
+  toJSON(){
+    return { code: this.code, message: this.message, data: this.data };
+  }
+
+  static from(e){
+    if (e instanceof RpcError) return e;
+    if (e && typeof e === "object" && e.code) return new RpcError(e.code, e.message || e.code, e.data);
+    return new RpcError(RpcErrorCode.HANDLER, String(e?.message || e));
+  }
+}
+
+let idSeq = 0;
+function nextId(){
+  idSeq = (idSeq + 1) % Number.MAX_SAFE_INTEGER;
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}-${idSeq}`;
+}
+
+/** Random id for sessions and endpoints. */
+export function makeId(){
+  try { if (globalThis.crypto?.randomUUID) return crypto.randomUUID(); } catch {}
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/** Channel name for one Powersearch session. */
+export function channelName(session){
+  return `${CHANNEL_PREFIX}:${session}`;
+}
+
+/**
+ * Wrap a BroadcastChannel. Returns { call, notify, handle, on, setPeer, close, selfId, session }.
+ *   session:  scope for every message (required to talk; null only accepts session-less messages)
+ *   selfId:   this endpoint's id (generated if omitted)
+ *   handlers: { [method]: (params, msg) => result | Promise<result> }
+ *   events:   { [method]: (params, msg) => void }
+ */
+export function createRpc(channel, { session = null, selfId = makeId(), handlers = {}, events = {}, timeoutMs = 10000, label = "rpc" } = {}){
+  const pending = new Map(); // id -> { resolve, reject, timer }
+  const handlerMap = { ...handlers };
+  const eventMap = { ...events };
+  let peer = null;
+  let closed = false;
+
+  const post = (msg) => {
+    try { channel.postMessage({ rpc: PROTOCOL, v: PROTOCOL_VERSION, session, from: selfId, ...msg }); }
+    catch (err){ console.warn(`[${label}] post failed`, err); }
+  };
+
+  async function answer(msg){
+    const fn = handlerMap[msg.method];
+    if (!fn) return;
+    if (msg.v !== PROTOCOL_VERSION){
+      post({ kind: "res", id: msg.id, to: msg.from, error: new RpcError(RpcErrorCode.VERSION,
+        `Protocol version mismatch: peer v${msg.v}, this side v${PROTOCOL_VERSION}`,
+        { expected: PROTOCOL_VERSION, got: msg.v }).toJSON() });
+      return;
+    }
+    try {
+      const result = await fn(msg.params, msg);
+      post({ kind: "res", id: msg.id, to: msg.from, result });
+    } catch (err){
+      console.error(`[${label}] ${msg.method} failed:`, err);
+      post({ kind: "res", id: msg.id, to: msg.from, error: RpcError.from(err).toJSON() });
+    }
+  }
+
+  function onMessage(ev){
+    const msg = ev?.data;
+    if (!msg || msg.rpc !== PROTOCOL || closed) return;
+    if ((msg.session ?? null) !== session) return;      // another launch
+    if (msg.to && msg.to !== selfId) return;            // addressed to someone else
+    if (peer && msg.from !== peer) return;              // not the endpoint we're pinned to
+
+    if (msg.kind === "req"){ answer(msg); return; }
+
+    if (msg.kind === "res"){
+      const p = pending.get(msg.id);
+      if (!p) return; // someone else's reply, or already timed out
+      pending.delete(msg.id);
+      clearTimeout(p.timer);
+      if (msg.error) p.reject(RpcError.from(msg.error));
+      else p.resolve(msg.result);
+      return;
+    }
+
+    if (msg.kind === "evt"){
+      const fn = eventMap[msg.method];
+      if (!fn) return;
+      try { fn(msg.params, msg); }
+      catch (err){ console.error(`[${label}] event ${msg.method} failed:`, err); }
+    }
+  }
+
+  channel.addEventListener("message", onMessage);
+
+  return {
+    call(method, params, { timeoutMs: t = timeoutMs } = {}){
+      if (closed) return Promise.reject(new RpcError(RpcErrorCode.CLOSED, "RPC channel closed"));
+      return new Promise((resolve, reject) => {
+        const id = nextId();
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new RpcError(RpcErrorCode.TIMEOUT, `${method} timed out after ${t}ms`, { method }));
+        }, t);
+        pending.set(id, { resolve, reject, timer });
+        post({ kind: "req", id, method, params, to: peer || undefined });
+      });
+    },
+
+    notify(method, params){
+      if (!closed) post({ kind: "evt", method, params, to: peer || undefined });
+    },
+
+    handle(method, fn){ handlerMap[method] = fn; },
+    on(method, fn){ eventMap[method] = fn; },
+
+    /** Only talk to (and hear) this endpoint from now on; null un-pins. */
+    setPeer(id){ peer = id || null; },
+    get peer(){ return peer; },
+    selfId,
+    session,
+
+    close(){
+      if (closed) return;
+      closed = true;
+      channel.removeEventListener("message", onMessage);
+      for (const p of pending.values()){
+        clearTimeout(p.timer);
+        p.reject(new RpcError(RpcErrorCode.CLOSED, "RPC channel closed"));
+      }
+      pending.clear();
+    }
+  };
+}
@@ -0,0 +1,50 @@
+// Run with: node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildStore, applyHydration, buildTextIndex, makeQueryAPI, CARD_FIELDS } from "../cards-core.js";
+
+const quiet = (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try { return fn(); } finally { console.log = log; }
+};
+
+function fixture(){
+  const card = (id, name, description) => ({ id, avatar: `${id}.png`, name, tags: [], data: { creator: "", creator_notes: "", description } });
+  const store = quiet(() => buildStore({
+    characters: [
+      card("a", "Alice", "A knight guarding the northern pass."),
+      card("b", "Bram", "A merchant who sails between harbours."),
+      card("c", "Cora", "A lighthouse keeper on a windy cliff.")
+    ],
+    tags: [], tag_map: {}
+  }));
+  const fields = (over) => Object.fromEntries(CARD_FIELDS.map(k => [k, k === "alternate_greetings" ? [] : (over[k] || "")]));
+  applyHydration(store, [
+    { id: "b", avatar: "b.png", fields: fields({ scenario: "Stranded on a space station orbiting Mars." }) },
+    { id: "c", avatar: "c.png", fields: fields({ first_mes: "Welcome to the tavern by the sea." }) }
+  ]);
+  quiet(() => buildTextIndex(store));
+  return makeQueryAPI(store);
+}
+
+test("a card whose only hit is in a disabled field drops out", () => {
+  const q = fixture();
+  assert.deepEqual([...q.searchText("space station").keys()], []);
+  assert.deepEqual([...q.searchText("space station", { fieldWeights: { first_mes: 1 } }).keys()], []);
+  assert.deepEqual([...q.searchText("tavern", { fieldWeights: { scenario: 1 } }).keys()], []);
+});
+
+test("an enabled field matches and scores", () => {
+  const q = fixture();
+  const res = q.searchText("space station", { fieldWeights: { scenario: 1 } });
+  assert.deepEqual([...res.keys()], ["b"]);
+  assert.ok(res.get("b") > 0);
+  assert.equal(q.explainSearch("space station", "b", { fieldWeights: { scenario: 1 } }).clauses[0][0].hit, "scenario");
+});
+
+test("notes and description still match without any field enabled", () => {
+  const q = fixture();
+  assert.deepEqual([...q.searchText("lighthouse").keys()], ["c"]);
+  assert.deepEqual([...q.searchText("tavern OR lighthouse", { fieldWeights: { first_mes: 1 } }).keys()], ["c"]);
+});
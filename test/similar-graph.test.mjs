@@ -0,0 +1,56 @@
+// Run with: node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildStore, buildTextIndex, neighborGraphBuilder, makeQueryAPI, NEIGHBOR_K } from "../cards-core.js";
+
+const quiet = (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try { return fn(); } finally { console.log = log; }
+};
+
+// 600 cards over a few themes, so both tags and descriptions carry signal
+function fixture(){
+  let seed = 7;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const themes = {
+    fantasy: ["elf", "dragon", "sword", "magic", "castle", "knight"],
+    scifi: ["robot", "space", "laser", "ship", "alien", "station"],
+    horror: ["ghost", "blood", "night", "curse", "grave", "mansion"]
+  };
+  const extra = ["female", "male", "villain", "hero", "romance", "comedy", "drama", "mystery"];
+  const characters = [], tag_map = {};
+  for (let i = 0; i < 600; i++){
+    const theme = pick(Object.keys(themes));
+    const avatar = `c${i}.png`;
+    const description = Array.from({ length: 40 }, () => rand() < .7 ? pick(themes[theme]) : `w${Math.floor(rand() * 300)}`).join(" ");
+    characters.push({ id: avatar, avatar, name: `C${i}`, tags: [], data: { creator: "", creator_notes: "", description } });
+    tag_map[avatar] = [theme, pick(extra), pick(extra)];
+  }
+  const store = quiet(() => buildStore({ characters, tags: [], tag_map }));
+  quiet(() => buildTextIndex(store));
+  return store;
+}
+
+function withGraph(store){
+  const builder = neighborGraphBuilder(store);
+  while (!builder.step(200));
+  return store;
+}
+
+const OPTS = { tagMode: "cosine", descMode: "bm25", weightTags: true, includeTags: true, includeText: true, alpha: 0.6 };
+
+test("graph path agrees with the exhaustive scan within NEIGHBOR_K", () => {
+  const exhaustive = makeQueryAPI(fixture()).rankSimilar("c0.png", { ...OPTS, limit: NEIGHBOR_K });
+  const graphed = makeQueryAPI(withGraph(fixture())).rankSimilar("c0.png", { ...OPTS, limit: NEIGHBOR_K });
+  assert.equal(graphed.length, exhaustive.length);
+  assert.deepEqual(graphed.slice(0, 50).map(r => r.id), exhaustive.slice(0, 50).map(r => r.id));
+});
+
+test("a limit above NEIGHBOR_K is honoured with the graph built", () => {
+  const exhaustive = makeQueryAPI(fixture()).rankSimilar("c0.png", { ...OPTS, limit: 500 });
+  const graphed = makeQueryAPI(withGraph(fixture())).rankSimilar("c0.png", { ...OPTS, limit: 500 });
+  assert.equal(exhaustive.length, 500);
+  assert.deepEqual(graphed, exhaustive);
+});
@@ -153,8 +153,14 @@ function suggestTags(prefix, limit=200){
     ['Favorites → Last',            { by:'fav', dir:'asc'}],
     ['Creator ↑ (A → Z)',           { by:'creator', dir:'asc'}],
     ['Creator ↓ (Z → A)',           { by:'creator', dir:'desc'}],
-    ['Created Date ↑ (Oldest → Newest)', { by:'date_added', dir:'asc'}],
-    ['Created Date ↓ (Newest → Oldest)', { by:'date_added', dir:'desc'}],
+    ['Created Date ↑ (Oldest → Newest)', { by:'date_created', dir:'asc'}],
+    ['Created Date ↓ (Newest → Oldest)', { by:'date_created', dir:'desc'}],
+    ['Modified Date ↑ (Oldest → Newest)', { by:'date_modified', dir:'asc'}],
+    ['Modified Date ↓ (Newest → Oldest)', { by:'date_modified', dir:'desc'}],
+    ['Version ↑ (Lowest → Highest)', { by:'character_version', dir:'asc'}],
+    ['Version ↓ (Highest → Lowest)', { by:'character_version', dir:'desc'}],
+    ['Date Added ↑ (Oldest → Newest)', { by:'date_added', dir:'asc'}],
+    ['Date Added ↓ (Newest → Oldest)', { by:'date_added', dir:'desc'}],
     ['Last Chat Date ↑ (Oldest → Newest)', { by:'date_last_chat', dir:'asc'}],
     ['Last Chat Date ↓ (Newest → Oldest)', { by:'date_last_chat', dir:'desc'}],
     ['Chat Size ↑ (Smallest → Largest)', { by:'chat_size', dir:'asc'}],
@@ -412,19 +418,27 @@ function ensureDetailsModal(){
   tabA.addEventListener('click', ()=> activate('overview'));
   tabB.addEventListener('click', ()=> activate('json'));
   activate('overview');
+}
 
-  // one global listener for producer replies
-  if (window.channel && !window.__psDetailsWired){
-    window.__psDetailsWired = true;
-    window.channel.addEventListener('message', (ev) => {
-      const d = ev?.data;
-      if (!d || d.type !== 'details') return;
-      fillDetailsModal({ loading:false, id:d.id, data:d.data });
-    });
+// Each Details click bumps this; replies for an older click are dropped
+let detailsSeq = 0;
+
+async function openDetails(r){
+  const seq = ++detailsSeq;
+  ensureDetailsModal();
+  fillDetailsModal({ loading: true, id: r.id, name: r.name, avatar: r.avatar });
+  try {
+    const { id, data } = await window.CardsBackend.requestDetails(r.id);
+    if (seq !== detailsSeq) return;
+    fillDetailsModal({ loading: false, id, data });
+  } catch (err) {
+    console.error('[ps] details request failed:', err);
+    if (seq !== detailsSeq) return;
+    fillDetailsModal({ loading: false, id: r.id, name: r.name, error: err });
   }
 }
 
-function fillDetailsModal({ loading, id, name, avatar, data }){
+function fillDetailsModal({ loading, id, name, avatar, data, error }){
   // Ensure the modal exists (creates the new 2-tab one if missing)
   ensureDetailsModal();
 
@@ -457,6 +471,14 @@ function fillDetailsModal({ loading, id, name, avatar, data }){
     return;
   }
 
+  if (error){
+    const msg = `Could not load details: ${error.message || error}${error.code ? ` (${error.code})` : ''}`;
+    if (t)   t.textContent = name ? `Details — ${name}` : 'Details';
+    if (pre) pre.textContent = msg;
+    if (ov)  ov.innerHTML = `<div style="color:#fca5a5">${escapeHTML(msg)}</div>`;
+    return;
+  }
+
   // Got data: normalize and render
   const n = normalizeCard(data || {});
   if (t)   t.textContent = n.name ? `Details — ${n.name}` : 'Details';
@@ -569,21 +591,348 @@ function escapeHTML(s){
 
 
 
+/* ------------------------------ Explain modal ------------------------------ */
+
+// What produced the current result list: { expr, weightsInput, search, fieldTargets } from apply(),
+// or { refId, simOpts } from similarity mode. Explain replays it for one card.
+let explainContext = null;
+let explainSeq = 0;
 
-function makeCard(r, weights){
+function ensureExplainModal(){
+  if (document.getElementById('ps-explain-modal')) return;
+  const el = document.createElement('div');
+  el.id = 'ps-explain-modal';
+  el.style.cssText = `
+    position:fixed; inset:0; display:none; z-index:99999;
+    background:rgba(0,0,0,.6); backdrop-filter: blur(4px);
+  `;
+  el.innerHTML = `
+    <div style="position:absolute; inset:0; display:grid; place-items:center">
+      <div style="width:min(760px,92vw); max-height:80vh; overflow:auto;
+                  background:#0c1117; border:1px solid #1f2937; border-radius:12px;
+                  box-shadow:0 16px 70px rgba(0,0,0,.6); color:#e5e7eb; padding:14px">
+        <div style="display:flex; align-items:center; gap:10px; margin-bottom:10px">
+          <div style="flex:1 1 auto; min-width:0">
+            <div id="pse-title" style="font-weight:700; white-space:nowrap;
+                overflow:hidden; text-overflow:ellipsis">Explain</div>
+            <div id="pse-sub" class="micro" style="color:#93a3af"></div>
+          </div>
+          <button id="pse-close" class="btn" style="color:white;">Close</button>
+        </div>
+        <div id="pse-body"></div>
+      </div>
+    </div>`;
+  document.body.appendChild(el);
+  el.querySelector('#pse-close')?.addEventListener('click', ()=> el.style.display='none');
+}
+
+const fmt3 = (x) => Number(x || 0).toFixed(3);
+
+function explainSection(title, inner){
+  return `<section style="margin-bottom:14px">
+    <h4 style="margin:0 0 6px">${escapeHTML(title)}</h4>${inner}</section>`;
+}
+
+// rows: [[cell, …]] of already-escaped HTML
+function explainTable(head, rows){
+  const th = head.map(h => `<th style="text-align:left; padding:3px 8px; border-bottom:1px solid #1f2937">${escapeHTML(h)}</th>`).join('');
+  const tr = rows.map(r => `<tr>${r.map(c => `<td style="padding:3px 8px; border-bottom:1px solid #111827">${c}</td>`).join('')}</tr>`).join('');
+  return `<table style="width:100%; border-collapse:collapse; font-size:12px">
+    <thead><tr>${th}</tr></thead><tbody>${tr}</tbody></table>`;
+}
+
+const truth = (v) => v ? '<span style="color:#86efac">✓ true</span>' : '<span style="color:#fca5a5">✗ false</span>';
+const note = (text) => `<div class="micro">${escapeHTML(text)}</div>`;
+
+function explainBoolean(B, r, expr){
+  if (!String(expr || '').trim()) return explainSection('Boolean rule', note('No Boolean rule — every card passes.'));
+  const table = B.parseBoolExpr(expr).explain(B.store, r);
+  const rows = table.map((e, i) => [
+    `<code${i === table.length - 1 ? ' style="font-weight:700"' : ''}>${escapeHTML(e.text)}</code>`,
+    truth(e.value)
+  ]);
+  return explainSection('Boolean rule', explainTable(['Clause', 'Result'], rows));
+}
+
+function explainWeights(B, r, weightsInput){
+  const contrib = B.query.explainWeights(r, weightsInput);
+  const formula = B.parseScoreFormula(weightsInput);
+  let html;
+  if (!contrib.length){
+    html = note(weightsInput ? 'None of this card\'s tags carry a weight.' : 'No weights set.');
+  } else {
+    const total = contrib.reduce((s, c) => s + c.weight, 0);
+    const rows = contrib.map(c => [escapeHTML(c.tag), fmtNum(c.weight)]);
+    rows.push([`<strong>${formula?.eval ? 'weight' : 'Score'}</strong>`, `<strong>${fmtNum(total)}</strong>`]);
+    html = explainTable(['Tag', 'Weight'], rows);
+  }
+  if (formula?.eval){
+    html += `<div style="margin-top:6px">Score <code>= ${escapeHTML(formula.source)}</code> = <strong>${fmtNum(B.query.scorer(weightsInput)(r))}</strong></div>`;
+  } else if (formula?.error){
+    html += note(`Score formula has an error (${formula.error.message}); sorting by tag weights.`);
+  }
+  return explainSection('Tag weights', html);
+}
+
+function explainSearch(search, q){
+  if (!q) return explainSection('Search relevance', note('No search text.'));
+  if (!search) return explainSection('Search relevance', note('Not available.'));
+  const where = { name: 'name', creator: 'creator', text: 'notes / description' };
+  const clauses = search.clauses.map(items => [
+    items.map(i => `<code>${escapeHTML(i.text)}</code>`).join(' OR '),
+    items.some(i => i.hit)
+      ? `<span style="color:#86efac">${escapeHTML(items.filter(i => i.hit).map(i => `${i.text} in ${where[i.hit] || i.hit.replace(/_/g, ' ')}`).join('; '))}</span>`
+      : truth(false)
+  ]);
+  let html = search.excludedBy != null ? note(`Excluded by -${search.excludedBy}.`) : '';
+  if (clauses.length) html += explainTable(['Required', 'Found'], clauses);
+  const parts = [];
+  if (search.name) parts.push(['Name hit', fmtNum(search.name)]);
+  if (search.creator) parts.push(['Creator hit', fmtNum(search.creator)]);
+  for (const t of search.terms) parts.push([`BM25 <code>${escapeHTML(t.term)}</code>`, fmt3(t.score)]);
+  if (search.fields) parts.push(['Search in fields', fmt3(search.fields)]);
+  parts.push(['<strong>Relevance</strong>', search.relevance == null ? 'no match' : `<strong>${fmt3(search.relevance)}</strong>`]);
+  html += `<div style="margin-top:8px">${explainTable(['Component', 'Score'], parts)}</div>`;
+  return explainSection('Search relevance', html);
+}
+
+function explainSimilarity(sim, refName){
+  if (!sim) return explainSection('Similarity', note('Not available.'));
+  const rows = [];
+  const both = sim.includeTags && sim.includeText;
+  if (sim.includeTags) rows.push([`Tags (${escapeHTML(sim.tagMode)})`, fmt3(sim.tag), both ? `× ${fmt3(sim.alpha)}` : '']);
+  if (sim.includeText) rows.push([`Description (${escapeHTML(sim.descMode)})`, fmt3(sim.text), both ? `× ${fmt3(1 - sim.alpha)}` : '']);
+  rows.push(['<strong>Combined</strong>', `<strong>${fmt3(sim.score)}</strong>`, '']);
+  const chips = (list, label) => list.length
+    ? `<div class="chips" style="margin-top:6px">${list.map(label).join('')}</div>`
+    : note('None.');
+  let html = explainTable(['Component', 'Similarity', 'Weight'], rows);
+  html += `<h4 style="margin:10px 0 0">Shared tags (${sim.sharedTags.length})</h4>`;
+  html += chips(sim.sharedTags, t => `<span class="chip" title="idf ${fmt3(t.idf)}">${escapeHTML(t.tag)}</span>`);
+  if (sim.includeText){
+    html += `<h4 style="margin:10px 0 0">Shared n-grams</h4>`;
+    html += chips(sim.sharedNgrams, g => `<span class="chip" title="weight ${fmt3(g.weight)}">${escapeHTML(g.gram)}</span>`);
+  }
+  return explainSection(`Similarity to ${refName || 'reference'}`, html);
+}
+
+async function openExplain(r){
+  const B = window.CardsBackend;
+  if (!B?.store) return;
+  const seq = ++explainSeq;
+  ensureExplainModal();
+  const wrap = document.getElementById('ps-explain-modal');
+  wrap.style.display = 'block';
+  wrap.querySelector('#pse-title').textContent = `Explain — ${r.name || '(unnamed)'}`;
+  wrap.querySelector('#pse-sub').textContent = `• id ${r.id}`;
+  const body = wrap.querySelector('#pse-body');
+  const ctx = explainContext || {};
+
+  let sync = '';
+  if (ctx.refId == null){
+    sync = explainBoolean(B, r, ctx.expr) + explainWeights(B, r, ctx.weightsInput);
+    if (!ctx.search){
+      body.innerHTML = sync + explainSearch(null, '');
+      return;
+    }
+  }
+  body.innerHTML = sync + note('(computing…)');
+  try {
+    const res = await B.explain(r.id, ctx.refId == null
+      ? { q: ctx.search, fieldWeights: ctx.fieldTargets }
+      : { refId: ctx.refId, simOpts: ctx.simOpts });
+    if (seq !== explainSeq) return;
+    body.innerHTML = sync + (ctx.refId == null
+      ? explainSearch(res.search, ctx.search)
+      : explainSimilarity(res.similarity, simRefsLabel(B)));
+  } catch (err) {
+    console.error('[ps] explain failed:', err);
+    if (seq !== explainSeq) return;
+    body.innerHTML = sync + `<div style="color:#fca5a5">${escapeHTML(`Could not explain: ${err.message || err}`)}</div>`;
+  }
+}
+
+/* Duplicates view: near-duplicate groups from the worker (MinHash/LSH) with a field-by-field diff of one pair */
+const DUP_THRESHOLD_KEY = 'cards.dupThreshold';
+const DUP_MAX_GROUPS = 200;
+let dupesSeq = 0;
+
+const fmtDay = (ts) => ts ? new Date(ts).toLocaleDateString() : '';
+
+// [label, row → comparable text]; card fields only exist once the row has been hydrated
+const DUP_FIELDS = [
+  ['Name', r => r.name],
+  ['Creator', r => r.creator],
+  ['Version', r => r.character_version],
+  ['Tags', r => (r.tags || []).slice().sort().join(', ')],
+  ['Created', r => fmtDay(r.date_created)],
+  ['Modified', r => fmtDay(r.date_modified)],
+  ['Added', r => fmtDay(r.date_added)],
+  ['Last chat', r => fmtDay(r.date_last_chat)],
+  ['Chat size', r => r.chat_size ? String(r.chat_size) : ''],
+  ['Creator notes', r => r.creator_notes],
+  ['Description', r => r.description],
+  ['Personality', r => r.fields?.personality],
+  ['Scenario', r => r.fields?.scenario],
+  ['First message', r => r.fields?.first_mes],
+  ['Alt. greetings', r => r.fields?.alternate_greetings?.join('\n\n---\n\n')],
+  ['Example messages', r => r.fields?.mes_example],
+  ['System prompt', r => r.fields?.system_prompt]
+];
+
+function ensureDupesModal(){
+  if (document.getElementById('ps-dupes-modal')) return;
+  const el = document.createElement('div');
+  el.id = 'ps-dupes-modal';
+  el.style.cssText = `
+    position:fixed; inset:0; display:none; z-index:99999;
+    background:rgba(0,0,0,.6); backdrop-filter: blur(4px);
+  `;
+  const threshold = Number(localStorage.getItem(DUP_THRESHOLD_KEY)) || 60;
+  el.innerHTML = `
+    <div style="position:absolute; inset:0; display:grid; place-items:center">
+      <div style="width:min(1100px,94vw); max-height:86vh; overflow:auto;
+                  background:#0c1117; border:1px solid #1f2937; border-radius:12px;
+                  box-shadow:0 16px 70px rgba(0,0,0,.6); color:#e5e7eb; padding:14px">
+        <div style="display:flex; align-items:center; gap:10px; margin-bottom:10px">
+          <div style="flex:1 1 auto; min-width:0">
+            <div style="font-weight:700">Duplicates</div>
+            <div id="psdup-status" class="micro" style="color:#93a3af"></div>
+          </div>
+          <label class="micro" title="Minimum shingle overlap (Jaccard) of notes + description + tags">Similarity ≥ <span id="psdup-val">${threshold}%</span></label>
+          <input id="psdup-threshold" type="range" min="30" max="95" step="5" value="${threshold}" style="width:140px" />
+          <button id="psdup-scan" class="btn" style="color:white;">Scan</button>
+          <button id="psdup-close" class="btn" style="color:white;">Close</button>
+        </div>
+        <div id="psdup-body"></div>
+      </div>
+    </div>`;
+  document.body.appendChild(el);
+  el.querySelector('#psdup-close')?.addEventListener('click', ()=> el.style.display='none');
+  const range = el.querySelector('#psdup-threshold');
+  range.addEventListener('input', () => { el.querySelector('#psdup-val').textContent = `${range.value}%`; });
+  range.addEventListener('change', () => { localStorage.setItem(DUP_THRESHOLD_KEY, range.value); scanDuplicates(); });
+  el.querySelector('#psdup-scan')?.addEventListener('click', scanDuplicates);
+}
+
+// One side of a word diff: unchanged text plus this side's removals (a) or insertions (b)
+function diffSide(parts, side){
+  const own = side === 'a' ? '-' : '+';
+  const bg = side === 'a' ? 'rgba(239,68,68,.3)' : 'rgba(34,197,94,.3)';
+  return parts.map(p => p.op === '=' ? escapeHTML(p.text)
+    : p.op === own ? `<mark style="background:${bg};color:inherit">${escapeHTML(p.text)}</mark>` : '').join('');
+}
+
+function renderDupeDiff(B, a, b){
+  const same = [];
+  let rows = '';
+  for (const [label, get] of DUP_FIELDS){
+    const va = String(get(a) ?? ''), vb = String(get(b) ?? '');
+    if (va === vb){ if (va) same.push(label); continue; }
+    const parts = B.diffWords(va, vb);
+    rows += `<tr>
+      <td style="vertical-align:top;padding:6px;color:#93a3af;white-space:nowrap">${escapeHTML(label)}</td>
+      <td style="vertical-align:top;padding:6px;white-space:pre-wrap;word-break:break-word">${diffSide(parts, 'a') || note('—')}</td>
+      <td style="vertical-align:top;padding:6px;white-space:pre-wrap;word-break:break-word">${diffSide(parts, 'b') || note('—')}</td>
+    </tr>`;
+  }
+  const unhydrated = (a.fields && b.fields) ? '' : note('Personality, scenario and greetings are compared once both cards are hydrated ("Index full cards").');
+  return `<table style="width:100%;border-collapse:collapse;table-layout:fixed;margin-top:8px">
+      <colgroup><col style="width:120px"><col><col></colgroup>
+      <tr><th></th><th style="text-align:left;padding:6px">${escapeHTML(a.name || a.id)}</th><th style="text-align:left;padding:6px">${escapeHTML(b.name || b.id)}</th></tr>
+      ${rows || `<tr><td colspan="3">${note('No differences in the compared fields.')}</td></tr>`}
+    </table>
+    ${same.length ? note(`Identical: ${same.join(', ')}`) : ''}${unhydrated}`;
+}
+
+function dupeGroupEl(B, g){
+  const sec = document.createElement('section');
+  sec.style.cssText = 'border:1px solid #1f2937;border-radius:10px;padding:10px;margin-bottom:10px';
+  const members = g.ids.map(id => B.store.byId.get(id)).filter(Boolean);
+  sec.innerHTML = `
+    <div style="font-weight:600;margin-bottom:6px">${members.length} cards · best match ${Math.round(g.score * 100)}%</div>
+    <div data-dupe-members></div>
+    <div class="chips" data-dupe-pairs style="margin-top:6px"></div>
+    <div data-dupe-diff></div>`;
+  const list = sec.querySelector('[data-dupe-members]');
+  for (const r of members){
+    const line = document.createElement('div');
+    line.style.cssText = 'display:flex;gap:8px;align-items:center;margin:4px 0';
+    line.innerHTML = `
+      <span style="width:32px;height:32px;flex:none;background:#111827 center/cover;border-radius:6px;background-image:url(/thumbnail?type=avatar&file=${encodeURIComponent(r.avatar || '')})"></span>
+      <span style="flex:1 1 auto;min-width:0"><strong>${escapeHTML(r.name || '(unnamed)')}</strong>
+        <span class="micro">by ${escapeHTML(r.creator || '—')} • added ${fmtDay(r.date_added) || '—'} • ${r.chat_size ? `${r.chat_size} chat bytes` : 'no chats'}${r.character_version ? ` • v${escapeHTML(r.character_version)}` : ''}</span></span>
+      <a href="#" class="btn micro" role="button">Details</a>`;
+    line.querySelector('a').addEventListener('click', (e) => { e.preventDefault(); openDetails(r); });
+    list.appendChild(line);
+  }
+  const pairs = sec.querySelector('[data-dupe-pairs]');
+  const diff = sec.querySelector('[data-dupe-diff]');
+  for (const p of g.pairs.slice(0, 12)){
+    const a = B.store.byId.get(p.a), b = B.store.byId.get(p.b);
+    if (!a || !b) continue;
+    const chip = document.createElement('a');
+    chip.href = '#'; chip.className = 'chip';
+    chip.textContent = `${a.name || a.id} ↔ ${b.name || b.id} · ${Math.round(p.score * 100)}%`;
+    chip.title = 'Compare these two side by side';
+    chip.addEventListener('click', (e) => { e.preventDefault(); diff.innerHTML = renderDupeDiff(B, a, b); });
+    pairs.appendChild(chip);
+  }
+  return sec;
+}
+
+async function scanDuplicates(){
+  const B = window.CardsBackend;
+  const wrap = document.getElementById('ps-dupes-modal');
+  if (!B?.store || !wrap) return;
+  const seq = ++dupesSeq;
+  const status = wrap.querySelector('#psdup-status');
+  const body = wrap.querySelector('#psdup-body');
+  const threshold = Number(wrap.querySelector('#psdup-threshold').value) / 100;
+  status.textContent = 'Scanning…';
+  try {
+    const groups = await B.duplicates(threshold);
+    if (seq !== dupesSeq) return;
+    const cards = groups.reduce((n, g) => n + g.ids.length, 0);
+    status.textContent = groups.length
+      ? `${groups.length} groups, ${cards} cards${groups.length > DUP_MAX_GROUPS ? ` (showing the first ${DUP_MAX_GROUPS})` : ''}`
+      : 'No likely duplicates at this threshold.';
+    clear(body);
+    for (const g of groups.slice(0, DUP_MAX_GROUPS)) body.appendChild(dupeGroupEl(B, g));
+  } catch (err) {
+    console.error('[ps] duplicate scan failed:', err);
+    if (seq === dupesSeq) status.textContent = `Scan failed: ${err.message || err}`;
+  }
+}
+
+function bindDuplicates(){
+  const btn = qs('[data-open-duplicates]');
+  if (!btn || btn.dataset.bound) return;
+  btn.dataset.bound = '1';
+  btn.addEventListener('click', () => {
+    ensureDupesModal();
+    document.getElementById('ps-dupes-modal').style.display = 'block';
+    scanDuplicates();
+  });
+}
+
+function makeCard(r, scoreOf, relevance){
   const score = (() => {
     // In similarity mode, use the similarity score if available
     if (r._similarityScore !== undefined) return r._similarityScore;
-    // Otherwise use weights-based scoring
-    if (!weights || !weights.size) return 0;
-    let s = 0; for (const t of r.tags){ const w = weights.get(t); if (w) s += w; }
-    return s;
+    // Otherwise the weights input: Σ tag weights or its score = … formula
+    return scoreOf ? scoreOf(r) : 0;
   })();
 
   const node = document.createElement('article');
   node.className = 'card';
   node.setAttribute('role','listitem');
 
+  // Card HTML arrives unsanitized from the worker; the backend sanitizes + memoizes per row
+  const html = window.CardsBackend?.html || (()=> '');
+  const descHtml = html(r, 'description');
+  const notesHtml = html(r, 'creator_notes');
+
 
   node.innerHTML = `
     <div class="avatar" data-avatar>84×84</div>
@@ -596,22 +945,30 @@ function makeCard(r, weights){
         <span>k=<span data-k>${r.tag_count ?? 0}</span></span>
         <span>Σidf=<span data-sigma>${fmtNum(r.sigma_idf ?? 0)}</span></span>
         <span>score=<span data-score>${fmtNum(score)}</span></span>
+        ${relevance != null ? `<span title="Search relevance (BM25 + name/creator hits)">rel=<span data-relevance>${fmtNum(relevance)}</span></span>` : ''}
         <span class="micro" data-lastchat>Last chat: ${
           r.date_last_chat ? new Date(r.date_last_chat).toLocaleDateString() : '—'
         }</span>
+        <span class="micro" data-created>Created: ${
+          r.date_created ? new Date(r.date_created).toLocaleDateString() : '—'
+        }</span>
+        ${r.date_modified ? `<span class="micro" data-modified>Modified: ${new Date(r.date_modified).toLocaleDateString()}</span>` : ''}
+        ${r.character_version ? `<span class="micro" data-version>v${escapeHTML(r.character_version)}</span>` : ''}
       </div>
       <div class="tags">
         <span class="micro">Tags: </span>
         <span class="list" data-tags>${(r.tags && r.tags.length) ? r.tags.join(', ') : '—'}</span>
       </div>
       <p class="snippet" data-snippet">${
-        (r.description || r.creator_notes || '—').replace(/\s+/g,' ').slice(0,219)
+        (descHtml || notesHtml || '—').replace(/\s+/g,' ').slice(0,219)
       }${
-        ((r.description||'').length > 219 || (r.creator_notes||'').length > 512) ? '…' : ''
+        (descHtml.length > 219 || notesHtml.length > 512) ? '…' : ''
       }</p>
       <div class="card-actions">
         <a href="#" class="btn" role="button" data-action="view-similar">Similar</a>
+        ${simRefs.positive.length ? '<a href="#" class="btn" role="button" data-action="pin-negative" title="Steer the similar list away from this card">Not like</a>' : ''}
         <a href="#" class="btn" role="button" data-action="view-details">Details</a>
+        <a href="#" class="btn" role="button" data-action="explain">Explain</a>
         <a href="#" class="btn" role="button" data-action="start-chat">Chat</a>
       </div>
     </div>
@@ -624,12 +981,12 @@ function makeCard(r, weights){
     av.textContent = '';
   }
 
-  // Wire Start Chat → broadcast selection to producer
+  // Wire Start Chat → ask the producer to switch character
   const startBtn = node.querySelector('[data-action="start-chat"]');
   startBtn?.addEventListener('click', (e) => {
-    const channel = window.channel || null;
     e.preventDefault();
-    channel?.postMessage({ type: 'select', id: r.id });
+    window.CardsBackend?.selectCharacter(r.id)
+      .catch(err => console.error('[ps] select failed:', err));
   });
 
   // NEW: View Similar → enter similarity mode
@@ -639,20 +996,28 @@ function makeCard(r, weights){
     enterSimilarityMode(r); // defined below
   });
 
+  node.querySelector('[data-action="pin-negative"]')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    pinReference(r.id, 'negative');
+  });
+
   const detailsBtn = node.querySelector('[data-action="view-details"]');
   detailsBtn?.addEventListener('click', (e) => {
     e.preventDefault();
-    ensureDetailsModal();
-    fillDetailsModal({ loading: true, id: r.id, name: r.name, avatar: r.avatar });
-    const channel = window.channel || null;
-    channel?.postMessage({ type: 'request-details', id: r.id });
+    openDetails(r);
+  });
+
+  node.querySelector('[data-action="explain"]')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    openExplain(r);
   });
 
 
   return node;
 }
 
-function createSimilarityAside(refRow){
+function createSimilarityAside(){
+  document.querySelector('aside.sidebar.clusters')?.remove(); // Similar from a cluster's card leaves cluster mode
   const normalAside = document.querySelector('aside.sidebar');
   if (normalAside) normalAside.style.display = 'none';
   const old = document.querySelector('aside.sidebar.similarity');
@@ -665,11 +1030,11 @@ function createSimilarityAside(refRow){
 
   // Get persisted values or defaults
   const persistedValues = window.similaritySettings || {};
-  const tagMetric = persistedValues.tagMetric || 'jaccard';
-  const descMetric = persistedValues.descMetric || 'none';
+  const tagMetric = persistedValues.tagMetric || 'cosine';
+  const descMetric = persistedValues.descMetric || 'bm25';
   const minShared = persistedValues.minShared || 2;
   const idfMul = persistedValues.idfMul || 100;
-  const limit = persistedValues.limit || 500;
+  const limit = persistedValues.limit || 100;
   const ngramMin = persistedValues.ngramMin || 1;
   const ngramMax = persistedValues.ngramMax || 3;
   const alpha = persistedValues.alpha || 60;
@@ -678,9 +1043,11 @@ function createSimilarityAside(refRow){
     <section class="section">
       <header>
         <h3>Similarity mode</h3>
-        <span class="micro">Reference: <strong>${(refRow.name||'—')}</strong></span>
       </header>
       <div class="body">
+        <label class="hint">References</label>
+        <div class="chips" data-sim="tray" style="margin-bottom:4px"></div>
+        <div class="hint" style="margin-bottom:10px">Similar on a card adds it as a positive reference, Not like as a negative one. Several references rank against their Rocchio centroid (tag + BM25 vectors).</div>
 
 
 
@@ -689,7 +1056,7 @@ function createSimilarityAside(refRow){
           <option value="none" ${tagMetric === 'none' ? 'selected' : ''}>None</option>
           <option value="overlap" ${tagMetric === 'overlap' ? 'selected' : ''}>Tag overlap (IDF-boostable)</option>
           <option value="jaccard" ${tagMetric === 'jaccard' ? 'selected' : ''}>Weighted Jaccard (IDF)</option>
-          <option value="cosine" ${tagMetric === 'cosine' ? 'selected' : ''}>Cosine (TF-IDF on tags)</option>
+          <option value="cosine" ${tagMetric === 'cosine' ? 'selected' : ''}>Cosine (TF-IDF on tags) ⚡</option>
           <option value="dice" ${tagMetric === 'dice' ? 'selected' : ''}>Dice coefficient</option>
           <option value="hamming" ${tagMetric === 'hamming' ? 'selected' : ''}>Hamming distance</option>
           <option value="manhattan" ${tagMetric === 'manhattan' ? 'selected' : ''}>Manhattan distance</option>
@@ -708,10 +1075,10 @@ function createSimilarityAside(refRow){
           <option value="cosine-2gram" ${descMetric === 'cosine-2gram' ? 'selected' : ''}>Cosine (1-2 gram)</option>
           <option value="cosine-3gram" ${descMetric === 'cosine-3gram' ? 'selected' : ''}>Cosine (1-3 gram)</option>
           <option value="cosine-4gram" ${descMetric === 'cosine-4gram' ? 'selected' : ''}>Cosine (1-4 gram)</option>
-          <option value="bm25" ${descMetric === 'bm25' ? 'selected' : ''}>BM25 similarity</option>
-          <option value="bm25-2gram" ${descMetric === 'bm25-2gram' ? 'selected' : ''}>BM25 (1-2 gram)</option>
-          <option value="bm25-3gram" ${descMetric === 'bm25-3gram' ? 'selected' : ''}>BM25 (1-3 gram)</option>
-          <option value="bm25-4gram" ${descMetric === 'bm25-4gram' ? 'selected' : ''}>BM25 (1-4 gram)</option>
+          <option value="bm25" ${descMetric === 'bm25' ? 'selected' : ''}>BM25 similarity ⚡</option>
+          <option value="bm25-2gram" ${descMetric === 'bm25-2gram' ? 'selected' : ''}>BM25 (1-2 gram) ⚡</option>
+          <option value="bm25-3gram" ${descMetric === 'bm25-3gram' ? 'selected' : ''}>BM25 (1-3 gram) ⚡</option>
+          <option value="bm25-4gram" ${descMetric === 'bm25-4gram' ? 'selected' : ''}>BM25 (1-4 gram) ⚡</option>
           <option value="jaccard-text" ${descMetric === 'jaccard-text' ? 'selected' : ''}>Jaccard (word sets)</option>
           <option value="jaccard-2gram" ${descMetric === 'jaccard-2gram' ? 'selected' : ''}>Jaccard (2-gram sets)</option>
           <option value="jaccard-3gram" ${descMetric === 'jaccard-3gram' ? 'selected' : ''}>Jaccard (3-gram sets)</option>
@@ -723,6 +1090,7 @@ function createSimilarityAside(refRow){
           <option value="lcs" ${descMetric === 'lcs' ? 'selected' : ''}>Longest common subsequence</option>
           <option value="semantic-hash" ${descMetric === 'semantic-hash' ? 'selected' : ''}>Semantic hash similarity</option>
         </select>
+        <div class="hint" data-sim="graph" style="margin:-4px 0 10px"></div>
 
         <label class="hint">Tag/Description weighting</label>
         <div style="display:flex;gap:8px;margin-bottom:10px;align-items:center">
@@ -841,24 +1209,97 @@ function createSimilarityAside(refRow){
 }
 
 
+/* Pinned similarity references: more like `positive`, less like `negative` (ids, in pin order) */
+const simRefs = { positive: [], negative: [] };
+let simRun = null; // re-runs the open similarity aside
+
+function simRefsLabel(B){
+  const names = simRefs.positive.map(id => B.store.byId.get(id)?.name || id);
+  const label = names.length > 2 ? `${names.slice(0, 2).join(', ')} +${names.length - 2}` : names.join(', ');
+  return simRefs.negative.length ? `${label}, not like ${simRefs.negative.length}` : label;
+}
+
+/** Pin a card as a positive or negative reference (moving it out of the other list) and re-rank. */
+function pinReference(id, kind){
+  const other = kind === 'negative' ? 'positive' : 'negative';
+  simRefs[other] = simRefs[other].filter(x => x !== id);
+  if (!simRefs[kind].includes(id)) simRefs[kind].push(id);
+  if (!simRefs.positive.length){ exitSimilarityMode(); return; }
+  renderSimTray();
+  simRun?.();
+}
+
+function unpinReference(id){
+  simRefs.positive = simRefs.positive.filter(x => x !== id);
+  simRefs.negative = simRefs.negative.filter(x => x !== id);
+  if (!simRefs.positive.length){ exitSimilarityMode(); return; }
+  renderSimTray();
+  simRun?.();
+}
+
+function renderSimTray(){
+  const tray = qs('aside.sidebar.similarity [data-sim="tray"]');
+  const B = window.CardsBackend;
+  if (!tray || !B?.store) return;
+  clear(tray);
+  for (const [kind, sign] of [['positive', '+'], ['negative', '−']]){
+    for (const id of simRefs[kind]){
+      const chipEl = document.createElement('span');
+      chipEl.className = 'chip';
+      chipEl.style.borderColor = kind === 'positive' ? '#166534' : '#92400e';
+      chipEl.textContent = `${sign} ${B.store.byId.get(id)?.name || id} `;
+      const rm = document.createElement('a');
+      rm.href = '#'; rm.textContent = '×'; rm.title = 'Remove this reference';
+      rm.addEventListener('click', (e) => { e.preventDefault(); unpinReference(id); });
+      chipEl.appendChild(rm);
+      tray.appendChild(chipEl);
+    }
+  }
+}
+
 function enterSimilarityMode(refRow){
   const B = window.CardsBackend;
   if (!B?.store || !B?.query) return;
 
-  const aside = createSimilarityAside(refRow); // builds the Similarity sidebar UI
+  // Already comparing: Similar adds another positive reference
+  if (simRun && qs('aside.sidebar.similarity')){
+    pinReference(refRow.id, 'positive');
+    return;
+  }
+  simRefs.positive = [refRow.id];
+  simRefs.negative = [];
+
+  const aside = createSimilarityAside(); // builds the Similarity sidebar UI
+  renderSimTray();
+
+  // Says whether the current settings rank from the worker's neighbour graph (and how far its build is)
+  let lastOpts = null;
+  const graphHint = aside.querySelector('[data-sim="graph"]');
+  const renderGraphHint = () => {
+    if (!aside.isConnected){ window.removeEventListener('cards:graph', renderGraphHint); return; }
+    if (!graphHint || !lastOpts) return;
+    const st = B.graphStatus;
+    const building = st && st.done < st.total ? ` (building ${st.done}/${st.total})` : '';
+    if (simRefs.positive.length > 1 || simRefs.negative.length) graphHint.textContent = 'Several references: every card is scored against their centroid';
+    else if (B.neighborGraphCovers(lastOpts)) graphHint.textContent = `⚡ Ranked from the precomputed neighbour index${building}`;
+    else if (B.neighborGraphCovers({ ...lastOpts, limit: B.NEIGHBOR_K })) graphHint.textContent = `Limit above ${B.NEIGHBOR_K} re-scores every card; the precomputed neighbour index answers up to ${B.NEIGHBOR_K}`;
+    else graphHint.textContent = 'Re-scores every card; ⚡ metrics answer from the precomputed neighbour index';
+  };
+  window.addEventListener('cards:graph', renderGraphHint);
 
-  const run = () => {
+  // Scoring runs in the worker; only the latest request is allowed to render
+  let runSeq = 0;
+  const run = async () => {
+    const seq = ++runSeq;
     const tagMetric = aside.querySelector('[data-sim="tag-metric"]')?.value || 'none';
     const descMetric = aside.querySelector('[data-sim="desc-metric"]')?.value || 'none';
     const minSharedInput = Number(aside.querySelector('[data-sim="min-shared"]')?.value || 0);
     const idfMul = Number(aside.querySelector('[data-sim="idf-mul"]')?.value || 100) / 100;
-    const limit = Number(aside.querySelector('[data-sim="limit"]')?.value || 500);
+    const limit = Number(aside.querySelector('[data-sim="limit"]')?.value || 100);
 
     const includeText = descMetric !== 'none';
     const includeTags = tagMetric !== 'none';
 
-    if (includeText) CardsBackend.ensureTextIndex(); // one-time TF-IDF build for descriptions
-
     // If tags are disabled, do NOT pre-filter by "min shared tags"
     const minShared = includeTags ? minSharedInput : 0;
 
@@ -869,20 +1310,11 @@ function enterSimilarityMode(refRow){
     const alphaPercent = Number(aside.querySelector('[data-sim="alpha"]')?.value || 60);
     const alpha = (includeTags && includeText) ? (alphaPercent / 100) : (includeTags ? 1.0 : 0.0);
 
-    // Fast pre-filter by min shared tags (only if tags are in play)
-    const refSet = new Set((refRow.tags || []).map(String));
-    let candidates = B.store.rows.filter(x => x.id !== refRow.id).filter(x => {
-      if (!minShared) return true;
-      let c = 0;
-      for (const t of x.tags) { if (refSet.has(t)) { c++; if (c >= minShared) break; } }
-      return c >= minShared;
-    });
-
     // Get n-gram settings
     const ngramMin = Number(aside.querySelector('[data-sim="ngram-min"]')?.value || 1);
     const ngramMax = Number(aside.querySelector('[data-sim="ngram-max"]')?.value || 3);
 
-    // Score with combinedSimilarity
+    // Score with combinedSimilarity (pre-filter by min shared tags, sort and limit happen in the worker)
     const opts = { 
       tagMode, 
       descMode: descMetric, 
@@ -892,21 +1324,30 @@ function enterSimilarityMode(refRow){
       alpha, 
       idfMul,
       ngramMin,
-      ngramMax
+      ngramMax,
+      minShared,
+      limit: isFinite(limit) ? limit : Infinity
     };
-    const scored = [];
-    for (const r of candidates){
-      const s = CardsBackend.query.combinedSimilarity(refRow.id, r.id, opts);
-      scored.push({ row: r, score: s });
+    lastOpts = opts;
+    renderGraphHint();
+    let ranked;
+    try {
+      ranked = await B.similar(simRefs.positive.slice(), { ...opts, negatives: simRefs.negative.slice() });
+    } catch (err) {
+      console.error('[ps] similarity failed:', err);
+      return;
     }
-    scored.sort((a,b)=> b.score - a.score || String(a.row.name||'').localeCompare(String(b.row.name||'')));
-    let rows = scored.map(s => {
-      // Attach similarity score to the row for display
-      s.row._similarityScore = s.score;
-      return s.row;
-    });
+    if (seq !== runSeq || !aside.isConnected) return; // superseded or left similarity mode
+    explainContext = { refId: simRefs.positive.slice(), simOpts: { ...opts, negatives: simRefs.negative.slice() } };
 
-    if (isFinite(limit) && rows.length > limit) rows = rows.slice(0, limit);
+    const rows = [];
+    for (const { id, score } of ranked){
+      const row = B.store.byId.get(id);
+      if (!row) continue;
+      // Attach similarity score to the row for display
+      row._similarityScore = score;
+      rows.push(row);
+    }
 
     // Stream render via existing infra
     resetStream(rows, null);
@@ -938,16 +1379,18 @@ function enterSimilarityMode(refRow){
       descMetric: aside.querySelector('[data-sim="desc-metric"]')?.value || 'none',
       minShared: Number(aside.querySelector('[data-sim="min-shared"]')?.value || 2),
       idfMul: Number(aside.querySelector('[data-sim="idf-mul"]')?.value || 100),
-      limit: Number(aside.querySelector('[data-sim="limit"]')?.value || 500),
+      limit: Number(aside.querySelector('[data-sim="limit"]')?.value || 100),
       ngramMin: Number(aside.querySelector('[data-sim="ngram-min"]')?.value || 1),
       ngramMax: Number(aside.querySelector('[data-sim="ngram-max"]')?.value || 3),
       alpha: Number(aside.querySelector('[data-sim="alpha"]')?.value || 60)
     };
   };
 
+  // Sliders fire 'input' continuously; coalesce so the worker isn't queued with stale scans
+  const runDebounced = debounce(run, 150);
   aside.querySelectorAll('input[data-sim], select[data-sim]').forEach(el => {
-    el.addEventListener('input', () => { persistSettings(); run(); });
-    el.addEventListener('change', () => { persistSettings(); run(); });
+    el.addEventListener('input', () => { persistSettings(); runDebounced(); });
+    el.addEventListener('change', () => { persistSettings(); runDebounced(); });
   });
 
   // Toggling either source re-runs (and prebuilds text index if needed)
@@ -955,7 +1398,7 @@ function enterSimilarityMode(refRow){
   const descMetricSel = aside.querySelector('[data-sim="desc-metric"]');
   function rerunSimilarity(){
     if (descMetricSel?.value !== 'none') CardsBackend.ensureTextIndex();
-    run();
+    runDebounced();
   }
   tagMetricSel?.addEventListener('change', rerunSimilarity);
   descMetricSel?.addEventListener('change', rerunSimilarity);
@@ -963,6 +1406,7 @@ function enterSimilarityMode(refRow){
   // If page opens with text ON, prebuild once
   if (descMetricSel?.value !== 'none') CardsBackend.ensureTextIndex();
 
+  simRun = runDebounced;
   run();
 }
 
@@ -972,6 +1416,9 @@ function exitSimilarityMode(){
   // remove similarity panel
   const sim = document.querySelector('aside.sidebar.similarity');
   if (sim) sim.remove();
+  simRefs.positive = [];
+  simRefs.negative = [];
+  simRun = null;
 
   // show normal sidebar again
   const normalAside = document.querySelector('aside.sidebar');
@@ -981,6 +1428,527 @@ function exitSimilarityMode(){
   apply(); // your existing filter/apply path:contentReference[oaicite:8]{index=8}
 }
 
+/* Cluster mode: the library split by spherical k-means over tag + BM25 vectors (worker side);
+   clicking a cluster streams its cards into the grid */
+const CLUSTER_SETTINGS_KEY = 'cards.clusterSettings';
+let clusterSeq = 0;
+let clusterShown = null; // the cluster currently streamed into the grid
+
+function loadClusterSettings(){
+  try { return { k: 12, alpha: 60, ...JSON.parse(localStorage.getItem(CLUSTER_SETTINGS_KEY) || '{}') }; }
+  catch { return { k: 12, alpha: 60 }; }
+}
+
+// Streams a fixed set of cards (a cluster, a map selection) into the grid in the current sort order
+function showIdsInGrid(ids){
+  const B = window.CardsBackend;
+  if (!B?.store) return;
+  ++applySeq; // a pending apply() must not overwrite the selection
+  const st = collectState();
+  const rows = B.query.sort(ids.map(id => B.store.byId.get(id)).filter(Boolean), { keys: st.sortKeys, weightsInput: st.weightsInput });
+  explainContext = { expr: '', weightsInput: st.weightsInput, search: '', fieldTargets: null };
+  resetStream(rows, B.query.scorer(st.weightsInput));
+  ensureObserver(true);
+  while (stream.idx < stream.rows.length && sentinelVisible()) renderNextChunk();
+  ensureObserver();
+  updateMetrics(B.store.rows.length, rows.length, rows.length);
+}
+
+function renderClusters(aside, res){
+  const list = aside.querySelector('[data-clu="list"]');
+  clear(list);
+  for (const c of res.clusters){
+    const item = document.createElement('a');
+    item.href = '#';
+    item.className = 'cluster-item';
+    item.style.cssText = 'display:block;padding:8px;margin-bottom:6px;border:1px solid var(--border);border-radius:8px;text-decoration:none;color:inherit';
+    const label = c.labels.length ? c.labels.map(l => l.tag).join(' · ') : '(no distinctive tags)';
+    item.innerHTML = `
+      <div style="display:flex;gap:6px;align-items:baseline">
+        <strong style="flex:1 1 auto;min-width:0">${escapeHTML(label)}</strong>
+        <span class="micro">${c.size}</span>
+      </div>
+      <div class="micro">${c.labels.map(l => `${escapeHTML(l.tag)} ${Math.round(l.share * 100)}% (×${l.lift.toFixed(1)})`).join(', ')}${c.labels.length ? ' • ' : ''}cohesion ${c.cohesion.toFixed(2)}</div>`;
+    item.title = 'Distinctive tags: share of this cluster (× lift over the whole library)';
+    item.addEventListener('click', (e) => {
+      e.preventDefault();
+      list.querySelectorAll('.cluster-item').forEach(el => { el.style.borderColor = ''; });
+      item.style.borderColor = '#60a5fa';
+      clusterShown = c;
+      showIdsInGrid(c.ids);
+    });
+    list.appendChild(item);
+  }
+  const status = aside.querySelector('[data-clu="status"]');
+  status.textContent = `${res.clusters.length} clusters${res.skipped ? `, ${res.skipped} cards without tags or text left out` : ''}`;
+  if (status.dataset.outdated) showClustersOutdated(status); // a delta landed while clustering ran
+}
+
+async function runClustering(aside){
+  const B = window.CardsBackend;
+  const seq = ++clusterSeq;
+  const k = Number(aside.querySelector('[data-clu="k"]').value);
+  const alpha = Number(aside.querySelector('[data-clu="alpha"]').value);
+  localStorage.setItem(CLUSTER_SETTINGS_KEY, JSON.stringify({ k, alpha }));
+  const status = aside.querySelector('[data-clu="status"]');
+  status.textContent = 'Clustering…';
+  delete status.dataset.outdated;
+  clusterShown = null;
+  try {
+    const res = await B.clusters({ k, alpha: alpha / 100 });
+    if (seq !== clusterSeq || !aside.isConnected) return;
+    renderClusters(aside, res);
+  } catch (err) {
+    console.error('[ps] clustering failed:', err);
+    if (seq === clusterSeq) aside.querySelector('[data-clu="status"]').textContent = `Clustering failed: ${err.message || err}`;
+  }
+}
+
+function enterClusterMode(){
+  const B = window.CardsBackend;
+  if (!B?.store) return;
+  if (qs('aside.sidebar.clusters')) return;
+  document.querySelector('aside.sidebar.similarity')?.remove();
+  simRefs.positive = [];
+  simRefs.negative = [];
+  simRun = null;
+  const normalAside = document.querySelector('aside.sidebar');
+  if (normalAside) normalAside.style.display = 'none';
+
+  const { k, alpha } = loadClusterSettings();
+  const aside = document.createElement('aside');
+  aside.className = 'sidebar clusters';
+  aside.setAttribute('aria-label', 'Cluster Controls');
+  aside.innerHTML = `
+    <section class="section">
+      <header>
+        <h3>Clusters</h3>
+        <span class="micro">k-means over tags + descriptions</span>
+      </header>
+      <div class="body">
+        <label class="hint">Number of clusters</label>
+        <div style="display:flex;gap:8px;align-items:center;margin-bottom:10px">
+          <input type="range" min="2" max="40" step="1" value="${k}" data-clu="k" style="flex:1"/>
+          <span style="min-width:24px;text-align:center" data-clu="k-val">${k}</span>
+        </div>
+        <label class="hint">Tag/Description weighting</label>
+        <div style="display:flex;gap:8px;margin-bottom:10px;align-items:center">
+          <span style="font-size:12px;color:var(--muted);min-width:40px">Tags</span>
+          <input type="range" min="0" max="100" step="5" value="${alpha}" data-clu="alpha" style="flex:1"/>
+          <span style="min-width:30px;text-align:center;font-size:12px" data-clu="alpha-val">${alpha}%</span>
+          <span style="font-size:12px;color:var(--muted);min-width:60px">Description</span>
+        </div>
+        <a href="#" class="btn" role="button" data-clu="run">Recluster</a>
+        <div class="hint" data-clu="status" style="margin:8px 0"></div>
+        <div data-clu="list"></div>
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="body">
+        <a href="#" class="btn" data-clu="back">← Back to filters</a>
+      </div>
+    </section>
+  `;
+  const content = document.querySelector('.content');
+  if (content) content.insertBefore(aside, content.firstElementChild);
+
+  const kEl = aside.querySelector('[data-clu="k"]');
+  kEl.addEventListener('input', () => { aside.querySelector('[data-clu="k-val"]').textContent = kEl.value; });
+  const alphaEl = aside.querySelector('[data-clu="alpha"]');
+  alphaEl.addEventListener('input', () => { aside.querySelector('[data-clu="alpha-val"]').textContent = `${alphaEl.value}%`; });
+  aside.querySelector('[data-clu="run"]').addEventListener('click', (e) => { e.preventDefault(); runClustering(aside); });
+  aside.querySelector('[data-clu="back"]').addEventListener('click', (e) => { e.preventDefault(); exitClusterMode(); });
+
+  runClustering(aside);
+}
+
+function showClustersOutdated(status){
+  status.insertAdjacentHTML('beforeend', '<div style="color:#fbbf24;margin-top:4px">Library changed since clustering; Recluster to refresh.</div>');
+}
+
+// Live deltas move cards in and out of the library: the shown cluster drops removed cards right away,
+// and the list is flagged until the user reclusters
+const refreshClusterView = debounce(() => {
+  const aside = qs('aside.sidebar.clusters');
+  if (!aside) return;
+  const status = aside.querySelector('[data-clu="status"]');
+  if (!status.dataset.outdated){
+    status.dataset.outdated = '1';
+    showClustersOutdated(status);
+  }
+  if (clusterShown){
+    const B = window.CardsBackend;
+    clusterShown.ids = clusterShown.ids.filter(id => B.store.byId.has(id));
+    showIdsInGrid(clusterShown.ids);
+  }
+}, 200);
+
+function exitClusterMode(){
+  document.querySelector('aside.sidebar.clusters')?.remove();
+  ++clusterSeq;
+  clusterShown = null;
+  const normalAside = document.querySelector('aside.sidebar');
+  if (normalAside) normalAside.style.display = '';
+  apply();
+}
+
+function bindClusters(){
+  const btn = qs('[data-open-clusters]');
+  if (!btn || btn.dataset.bound) return;
+  btn.dataset.bound = '1';
+  btn.addEventListener('click', enterClusterMode);
+}
+
+/* Library map: every card as a point, laid out in the worker (PCA → neighbour-graph layout).
+   Wheel zooms, drag pans, shift+drag (or Lasso) draws a selection that can become the result set */
+const MAP_ALPHA_KEY = 'cards.mapAlpha';
+const MAP_PALETTE = ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171', '#22d3ee', '#fb923c', '#a3e635', '#e879f9', '#2dd4bf', '#facc15'];
+const MAP_OTHER = '#4b5563';
+const mapState = {
+  library: 0, builtFor: -1, alpha: null, rows: [], x: null, y: null,
+  view: { cx: 0, cy: 0, scale: 1 }, color: null, legend: [],
+  selected: new Set(), hover: -1, lasso: null, lassoMode: false, seq: 0
+};
+
+function ensureMapModal(){
+  if (document.getElementById('ps-map-modal')) return;
+  const el = document.createElement('div');
+  el.id = 'ps-map-modal';
+  el.style.cssText = `
+    position:fixed; inset:0; display:none; z-index:99999;
+    background:rgba(0,0,0,.6); backdrop-filter: blur(4px);
+  `;
+  const alpha = Number(localStorage.getItem(MAP_ALPHA_KEY) ?? 60);
+  el.innerHTML = `
+    <div style="position:absolute; inset:0; display:grid; place-items:center">
+      <div style="width:94vw; height:88vh; display:flex; flex-direction:column;
+                  background:#0c1117; border:1px solid #1f2937; border-radius:12px;
+                  box-shadow:0 16px 70px rgba(0,0,0,.6); color:#e5e7eb; padding:14px">
+        <div style="display:flex; align-items:center; gap:10px; margin-bottom:10px; flex-wrap:wrap">
+          <div style="flex:1 1 auto; min-width:0">
+            <div style="font-weight:700">Map</div>
+            <div id="psmap-status" class="micro" style="color:#93a3af"></div>
+          </div>
+          <label class="micro">Colour by
+            <select id="psmap-color" class="select">
+              <option value="tags">Top tags</option>
+              <option value="creator">Creator</option>
+              <option value="fav">Favourite</option>
+            </select>
+          </label>
+          <input id="psmap-highlight" type="text" list="tags-list" placeholder="Highlight tag…" style="width:150px" />
+          <label class="micro" title="How much tags vs. descriptions place the cards">Tags <input id="psmap-alpha" type="range" min="0" max="100" step="10" value="${alpha}" style="width:90px;vertical-align:middle" /> Description</label>
+          <button id="psmap-lasso" class="btn" style="color:white;" title="Draw a selection (or hold Shift while dragging)">Lasso</button>
+          <button id="psmap-use" class="btn" style="color:white;" disabled>Show selection</button>
+          <button id="psmap-clear" class="btn" style="color:white;">Clear</button>
+          <button id="psmap-close" class="btn" style="color:white;">Close</button>
+        </div>
+        <div style="position:relative; flex:1 1 auto; min-height:0; border:1px solid #1f2937; border-radius:8px; overflow:hidden">
+          <canvas id="psmap-canvas" style="position:absolute; inset:0; width:100%; height:100%; cursor:grab"></canvas>
+          <div id="psmap-legend" class="micro" style="position:absolute; left:8px; bottom:8px; background:rgba(12,17,23,.85); padding:6px 8px; border-radius:6px; max-width:40%"></div>
+          <div id="psmap-tip" style="position:absolute; display:none; pointer-events:none; background:#0b0f16; border:1px solid #1f2937; border-radius:8px; padding:8px; max-width:260px; font-size:12px"></div>
+        </div>
+      </div>
+    </div>`;
+  document.body.appendChild(el);
+  bindMapCanvas(el);
+}
+
+const mapCanvasSize = (canvas) => ({ w: canvas.width, h: canvas.height, dpr: window.devicePixelRatio || 1 });
+
+function mapToScreen(canvas, i){
+  const { w, h } = mapCanvasSize(canvas);
+  const v = mapState.view;
+  return [(mapState.x[i] - v.cx) * v.scale + w / 2, (mapState.y[i] - v.cy) * v.scale + h / 2];
+}
+
+function fitMapView(canvas){
+  const n = mapState.rows.length;
+  if (!n) return;
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (let i = 0; i < n; i++){
+    minX = Math.min(minX, mapState.x[i]); maxX = Math.max(maxX, mapState.x[i]);
+    minY = Math.min(minY, mapState.y[i]); maxY = Math.max(maxY, mapState.y[i]);
+  }
+  const { w, h } = mapCanvasSize(canvas);
+  mapState.view = {
+    cx: (minX + maxX) / 2, cy: (minY + maxY) / 2,
+    scale: 0.92 * Math.min(w / ((maxX - minX) || 1), h / ((maxY - minY) || 1))
+  };
+}
+
+// Per-point colour index (−1 = other) and the legend for the current "Colour by"
+function computeMapColors(B){
+  const mode = document.getElementById('psmap-color')?.value || 'tags';
+  const rows = mapState.rows;
+  const color = new Int16Array(rows.length).fill(-1);
+  let legend = [];
+  if (mode === 'fav'){
+    rows.forEach((r, i) => { if (r.fav) color[i] = 3; });
+    legend = [{ label: 'Favourite', color: MAP_PALETTE[3] }, { label: 'Not favourite', color: MAP_OTHER }];
+  } else {
+    const counts = new Map();
+    for (const r of rows){
+      for (const key of (mode === 'creator' ? [r.creator || ''] : r.tags)) if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const top = Array.from(counts).sort((a, b) => b[1] - a[1]).slice(0, MAP_PALETTE.length).map(([key]) => key);
+    const slot = new Map(top.map((key, i) => [key, i]));
+    rows.forEach((r, i) => {
+      if (mode === 'creator'){ color[i] = slot.get(r.creator || '') ?? -1; return; }
+      // A card with several of the top tags takes its most distinctive (highest idf) one
+      let bestIdf = -1;
+      for (const t of r.tags){
+        if (!slot.has(t)) continue;
+        const idf = B.store.idf[t] || 0;
+        if (idf > bestIdf){ bestIdf = idf; color[i] = slot.get(t); }
+      }
+    });
+    legend = top.map((key, i) => ({ label: key, color: MAP_PALETTE[i] })).concat([{ label: 'other', color: MAP_OTHER }]);
+  }
+  mapState.color = color;
+  mapState.legend = legend;
+  const el = document.getElementById('psmap-legend');
+  if (el) el.innerHTML = legend.map(l => `<span style="display:inline-flex;align-items:center;gap:4px;margin:2px 8px 2px 0"><span style="width:9px;height:9px;border-radius:50%;background:${l.color}"></span>${escapeHTML(l.label)}</span>`).join('');
+}
+
+function drawMap(){
+  const canvas = document.getElementById('psmap-canvas');
+  if (!canvas || !mapState.x) return;
+  const ctx = canvas.getContext('2d');
+  const { w, h, dpr } = mapCanvasSize(canvas);
+  ctx.clearRect(0, 0, w, h);
+  const n = mapState.rows.length;
+  const r = Math.max(1.5, Math.min(6, 1.2 + Math.log2(1 + mapState.view.scale / 8))) * dpr;
+  const hl = (document.getElementById('psmap-highlight')?.value || '').trim().toLowerCase();
+  const groups = new Map();
+  for (let i = 0; i < n; i++){
+    const [sx, sy] = mapToScreen(canvas, i);
+    if (sx < -r || sy < -r || sx > w + r || sy > h + r) continue;
+    const dim = hl && !mapState.rows[i].tags.includes(hl);
+    const key = dim ? 'dim' : mapState.color[i];
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sx, sy);
+  }
+  for (const [key, pts] of groups){
+    ctx.globalAlpha = key === 'dim' ? 0.12 : 0.85;
+    ctx.fillStyle = key === 'dim' || key < 0 ? MAP_OTHER : MAP_PALETTE[key];
+    ctx.beginPath();
+    for (let p = 0; p < pts.length; p += 2){ ctx.moveTo(pts[p] + r, pts[p + 1]); ctx.arc(pts[p], pts[p + 1], r, 0, Math.PI * 2); }
+    ctx.fill();
+  }
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = '#f9fafb';
+  ctx.lineWidth = dpr;
+  ctx.beginPath();
+  for (const i of mapState.selected){ const [sx, sy] = mapToScreen(canvas, i); ctx.moveTo(sx + r + dpr, sy); ctx.arc(sx, sy, r + dpr, 0, Math.PI * 2); }
+  if (mapState.hover >= 0){ const [sx, sy] = mapToScreen(canvas, mapState.hover); ctx.moveTo(sx + r * 2, sy); ctx.arc(sx, sy, r * 2, 0, Math.PI * 2); }
+  ctx.stroke();
+  if (mapState.lasso?.length > 1){
+    ctx.strokeStyle = '#60a5fa';
+    ctx.setLineDash([4 * dpr, 4 * dpr]);
+    ctx.beginPath();
+    mapState.lasso.forEach(([px, py], k) => k ? ctx.lineTo(px, py) : ctx.moveTo(px, py));
+    ctx.closePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+}
+
+function resizeMapCanvas(){
+  const canvas = document.getElementById('psmap-canvas');
+  if (!canvas) return;
+  const dpr = window.devicePixelRatio || 1;
+  const w = Math.round(canvas.clientWidth * dpr), h = Math.round(canvas.clientHeight * dpr);
+  if (canvas.width === w && canvas.height === h) return;
+  const ratio = canvas.width ? w / canvas.width : 1;
+  canvas.width = w; canvas.height = h;
+  mapState.view.scale *= ratio;
+}
+
+function updateMapSelectionUI(){
+  const use = document.getElementById('psmap-use');
+  if (!use) return;
+  use.disabled = !mapState.selected.size;
+  use.textContent = mapState.selected.size ? `Show ${mapState.selected.size} selected` : 'Show selection';
+}
+
+function pointInPolygon(px, py, poly){
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++){
+    const [xi, yi] = poly[i], [xj, yj] = poly[j];
+    if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function mapHoverTip(wrap, i, ev){
+  const tip = wrap.querySelector('#psmap-tip');
+  if (i < 0){ tip.style.display = 'none'; return; }
+  const r = mapState.rows[i];
+  tip.innerHTML = `
+    <div style="display:flex;gap:8px">
+      <img src="/thumbnail?type=avatar&file=${encodeURIComponent(r.avatar || '')}" style="width:64px;height:86px;object-fit:cover;border-radius:6px;background:#111827;flex:none" alt="" />
+      <div style="min-width:0">
+        <div style="font-weight:600">${escapeHTML(r.name || '(unnamed)')}</div>
+        <div class="micro">by ${escapeHTML(r.creator || '—')}${r.fav ? ' • ★' : ''}</div>
+        <div class="micro" style="margin-top:4px">${escapeHTML(r.tags.slice(0, 8).join(', '))}${r.tags.length > 8 ? '…' : ''}</div>
+      </div>
+    </div>`;
+  const box = tip.parentElement.getBoundingClientRect();
+  tip.style.display = 'block';
+  tip.style.left = `${Math.min(ev.clientX - box.left + 14, box.width - 270)}px`;
+  tip.style.top = `${Math.min(ev.clientY - box.top + 14, box.height - 110)}px`;
+}
+
+function bindMapCanvas(wrap){
+  const canvas = wrap.querySelector('#psmap-canvas');
+  const dpr = () => window.devicePixelRatio || 1;
+  const local = (ev) => { const b = canvas.getBoundingClientRect(); return [(ev.clientX - b.left) * dpr(), (ev.clientY - b.top) * dpr()]; };
+  let drag = null;
+
+  canvas.addEventListener('wheel', (ev) => {
+    ev.preventDefault();
+    const [px, py] = local(ev);
+    const v = mapState.view;
+    const { w, h } = mapCanvasSize(canvas);
+    const wx = (px - w / 2) / v.scale + v.cx, wy = (py - h / 2) / v.scale + v.cy;
+    v.scale *= Math.exp(-ev.deltaY * 0.0015);
+    v.cx = wx - (px - w / 2) / v.scale;
+    v.cy = wy - (py - h / 2) / v.scale;
+    drawMap();
+  }, { passive: false });
+
+  canvas.addEventListener('mousedown', (ev) => {
+    const p = local(ev);
+    if (mapState.lassoMode || ev.shiftKey){ mapState.lasso = [p]; drag = { lasso: true }; }
+    else { drag = { start: p, view: { ...mapState.view }, moved: false }; canvas.style.cursor = 'grabbing'; }
+  });
+
+  window.addEventListener('mousemove', (ev) => {
+    if (!mapState.x || wrap.style.display === 'none') return;
+    const p = local(ev);
+    if (drag?.lasso){ mapState.lasso.push(p); drawMap(); return; }
+    if (drag){
+      const dx = p[0] - drag.start[0], dy = p[1] - drag.start[1];
+      if (Math.abs(dx) + Math.abs(dy) > 3 * dpr()) drag.moved = true;
+      mapState.view.cx = drag.view.cx - dx / mapState.view.scale;
+      mapState.view.cy = drag.view.cy - dy / mapState.view.scale;
+      drawMap();
+      return;
+    }
+    if (ev.target !== canvas){ if (mapState.hover >= 0){ mapState.hover = -1; mapHoverTip(wrap, -1); drawMap(); } return; }
+    // Nearest point within ~8px
+    let best = -1, bestD = (8 * dpr()) ** 2;
+    for (let i = 0; i < mapState.rows.length; i++){
+      const [sx, sy] = mapToScreen(canvas, i);
+      const d = (sx - p[0]) ** 2 + (sy - p[1]) ** 2;
+      if (d < bestD){ bestD = d; best = i; }
+    }
+    if (best !== mapState.hover){ mapState.hover = best; drawMap(); }
+    mapHoverTip(wrap, best, ev);
+  });
+
+  window.addEventListener('mouseup', () => {
+    if (!drag) return;
+    canvas.style.cursor = 'grab';
+    if (drag.lasso){
+      const poly = mapState.lasso;
+      mapState.lasso = null;
+      if (poly.length > 2){
+        mapState.selected = new Set();
+        for (let i = 0; i < mapState.rows.length; i++){
+          const [sx, sy] = mapToScreen(canvas, i);
+          if (pointInPolygon(sx, sy, poly)) mapState.selected.add(i);
+        }
+        updateMapSelectionUI();
+      }
+      drawMap();
+    } else if (!drag.moved && mapState.hover >= 0){
+      openDetails(mapState.rows[mapState.hover]);
+    }
+    drag = null;
+  });
+
+  window.addEventListener('resize', () => {
+    if (wrap.style.display === 'none') return;
+    resizeMapCanvas();
+    drawMap();
+  });
+
+  wrap.querySelector('#psmap-close').addEventListener('click', () => { wrap.style.display = 'none'; });
+  wrap.querySelector('#psmap-color').addEventListener('change', () => { computeMapColors(window.CardsBackend); drawMap(); });
+  wrap.querySelector('#psmap-highlight').addEventListener('input', debounce(drawMap, 120));
+  wrap.querySelector('#psmap-alpha').addEventListener('change', (ev) => {
+    localStorage.setItem(MAP_ALPHA_KEY, ev.target.value);
+    loadMap();
+  });
+  const lassoBtn = wrap.querySelector('#psmap-lasso');
+  lassoBtn.addEventListener('click', () => {
+    mapState.lassoMode = !mapState.lassoMode;
+    lassoBtn.style.borderColor = mapState.lassoMode ? '#60a5fa' : '';
+  });
+  wrap.querySelector('#psmap-clear').addEventListener('click', () => {
+    mapState.selected = new Set();
+    updateMapSelectionUI();
+    drawMap();
+  });
+  wrap.querySelector('#psmap-use').addEventListener('click', () => {
+    const ids = Array.from(mapState.selected, i => mapState.rows[i].id);
+    wrap.style.display = 'none';
+    showIdsInGrid(ids);
+  });
+}
+
+async function loadMap(){
+  const B = window.CardsBackend;
+  const wrap = document.getElementById('ps-map-modal');
+  if (!B?.store || !wrap) return;
+  const alpha = Number(wrap.querySelector('#psmap-alpha').value) / 100;
+  const status = wrap.querySelector('#psmap-status');
+  const canvas = wrap.querySelector('#psmap-canvas');
+  resizeMapCanvas();
+  if (mapState.builtFor === mapState.library && mapState.alpha === alpha){ drawMap(); return; }
+  const seq = ++mapState.seq;
+  const library = mapState.library;
+  status.textContent = 'Laying out…';
+  try {
+    const res = await B.layout({ alpha });
+    if (seq !== mapState.seq) return;
+    mapState.builtFor = library; // a delta that landed meanwhile leaves this stale for the next open
+    mapState.alpha = alpha;
+    // Cards a delta removed while the worker was laying out have no row on this side any more
+    const keep = [];
+    res.ids.forEach((id, i) => { if (B.store.byId.has(id)) keep.push(i); });
+    mapState.rows = keep.map(i => B.store.byId.get(res.ids[i]));
+    mapState.x = Float32Array.from(keep, i => res.x[i]);
+    mapState.y = Float32Array.from(keep, i => res.y[i]);
+    mapState.selected = new Set();
+    mapState.hover = -1;
+    updateMapSelectionUI();
+    computeMapColors(B);
+    fitMapView(canvas);
+    status.textContent = `${mapState.rows.length} cards${res.skipped ? ` (${res.skipped} without tags or text left out)` : ''} • wheel to zoom, drag to pan, shift+drag to select, click a point for details`;
+    drawMap();
+  } catch (err) {
+    console.error('[ps] map layout failed:', err);
+    if (seq === mapState.seq) status.textContent = `Map failed: ${err.message || err}`;
+  }
+}
+
+function bindMap(){
+  const btn = qs('[data-open-map]');
+  if (!btn || btn.dataset.bound) return;
+  btn.dataset.bound = '1';
+  // Deltas and hydration patch the mirror in place; lay out again on the next open
+  window.addEventListener('cards:updated', () => { mapState.library++; });
+  btn.addEventListener('click', () => {
+    ensureMapModal();
+    document.getElementById('ps-map-modal').style.display = 'block';
+    loadMap();
+  });
+}
+
 
 function attachTagDatalist() {
   const B = window.CardsBackend;
@@ -1007,7 +1975,7 @@ function attachTagDatalist() {
     const end = Math.min(stream.idx + (stream.idx ? stream.more : stream.page), stream.rows.length);
     const frag = document.createDocumentFragment();
     for (let i = stream.idx; i < end; i++){
-      frag.appendChild(makeCard(stream.rows[i], stream.weights));
+      frag.appendChild(makeCard(stream.rows[i], stream.scoreOf, stream.relevance?.get(stream.rows[i].id)));
     }
     // Insert before sentinel
     ctl.grid.insertBefore(frag, ctl.sentinel);
@@ -1036,16 +2004,18 @@ function sentinelVisible(){
 // global-ish stream state
 const stream = {
   rows: [],
-  weights: null,
+  scoreOf: null,  // row → sort score (tag weights or the score formula)
+  relevance: null,
   idx: 0,
   page: 40,   // first load size
   more: 60,   // subsequent chunk size
   observer: null
 };
 
-function resetStream(rows, weights){
+function resetStream(rows, scoreOf, relevance){
   stream.rows = rows || [];
-  stream.weights = weights || null;
+  stream.scoreOf = scoreOf || null;
+  stream.relevance = relevance || null;
   stream.idx = 0;
 
   // Clear grid except sentinel
@@ -1069,6 +2039,7 @@ function collectState(){
   return {
     search: ctl.search?.value.trim() || "",
     sort: getSortChoice(),
+    sortKeys: [getSortChoice(), ...collectSortKeys()],
     expr: ctl.boolExpr?.value.trim() || "",
     tags: parseTagBundle(ctl.tagBundle?.value || ""),
     m: parseInt(ctl.mInput?.value || "0", 10),
@@ -1079,13 +2050,379 @@ function collectState(){
   };
 }
 
-function apply(){
+/**
+ * Boolean rule diagnostics: underline offending spans in the backdrop behind the textarea and explain
+ * the first problem in the results header. Returns true when the rule is clean enough to run.
+ */
+function renderExprDiagnostics(expr, diagnostics){
+  const backdrop = qs('.expr-backdrop');
+  const box = qs('[data-expr-error]');
+  const diags = diagnostics || [];
+  if (backdrop){
+    let html = '', at = 0;
+    for (const d of diags){
+      if (d.start < at) continue; // overlapping spans: keep the first
+      html += escapeHTML(expr.slice(at, d.start));
+      html += `<mark title="${escapeHTML(d.message)}">${escapeHTML(expr.slice(d.start, d.end) || ' ')}</mark>`;
+      at = d.end;
+    }
+    backdrop.innerHTML = html + escapeHTML(expr.slice(at)) + '\n';
+    if (ctl.boolExpr) backdrop.scrollTop = ctl.boolExpr.scrollTop;
+  }
+  if (box){
+    box.hidden = !diags.length;
+    if (diags.length){
+      const d = diags[0];
+      const more = diags.length > 1 ? ` (+${diags.length - 1} more)` : '';
+      box.textContent = `Boolean rule not applied — ${d.message} at character ${d.start + 1}${more}. Showing the last valid results.`;
+    }
+  }
+  return !diags.length;
+}
+
+function bindExprBackdrop(){
+  const ta = ctl.boolExpr, backdrop = qs('.expr-backdrop');
+  if (!ta || !backdrop || ta.dataset.backdropBound) return;
+  ta.dataset.backdropBound = '1';
+  // Offsets go stale as soon as the text changes; the debounced apply() re-marks it
+  ta.addEventListener('input', () => { backdrop.textContent = ta.value + '\n'; });
+  ta.addEventListener('scroll', () => { backdrop.scrollTop = ta.scrollTop; });
+}
+
+/** Under the Boolean rule: which concrete tags each sci* / *x* / /re/ pattern resolved to. */
+function renderPatternHint(query, expr){
+  const host = qs('[data-pattern-hint]');
+  if (!host) return;
+  const pats = expr ? query.tagPatterns(expr) : [];
+  host.hidden = !pats.length;
+  clear(host);
+  for (const p of pats){
+    const line = document.createElement('div');
+    if (p.error) line.textContent = p.error;
+    else if (!p.tags.length) line.textContent = `${p.pattern} → no tags`;
+    else {
+      const shown = p.tags.slice(0, 12).join(', ');
+      const more = p.tags.length > 12 ? ` +${p.tags.length - 12} more` : '';
+      line.textContent = `${p.pattern} → ${shown}${more} (${p.tags.length})`;
+      line.title = p.tags.join('\n');
+    }
+    host.appendChild(line);
+  }
+}
+
+/**
+ * "Did you mean" chips under the results header when the strict search found nothing: fuzzy
+ * name/creator matches among the rows the Boolean rule kept. Clicking one searches for it.
+ */
+function renderDidYouMean(query, search, filtered, strictCount){
+  const host = qs('[data-did-you-mean]');
+  if (!host) return;
+  clear(host);
+  const sugg = (search && !strictCount && query.fuzzyNames)
+    ? query.fuzzyNames(search, { limit: 12, ids: new Set(filtered.map(r => r.id)) })
+    : [];
+  const seen = new Set();
+  const picks = [];
+  for (const s of sugg){
+    const key = s.text.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    picks.push(s);
+    if (picks.length >= 6) break;
+  }
+  host.hidden = !picks.length;
+  if (!picks.length) return;
+  const label = document.createElement('span');
+  label.className = 'micro';
+  label.textContent = 'Did you mean:';
+  host.appendChild(label);
+  for (const s of picks){
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'chip';
+    b.textContent = s.field === 'creator' ? `${s.text} (creator)` : s.text;
+    b.title = `${Math.round(s.score * 100)}% similar`;
+    b.addEventListener('click', () => {
+      if (!ctl.search) return;
+      ctl.search.value = s.text;
+      apply();
+    });
+    host.appendChild(b);
+  }
+}
+
+/** The Boolean rule with the tag-count / rarity sliders folded in as k: / idf: terms. */
+function fullQueryString(){
+  const st = collectState();
+  const terms = [];
+  if (st.kMin > 0) terms.push(`k:>=${st.kMin}`);
+  if (ctl.kMax && st.kMax < Number(ctl.kMax.max || 256)) terms.push(`k:<=${st.kMax}`);
+  if (st.rMin > 0) terms.push(`idf:>=${st.rMin}`);
+  if (!st.expr) return terms.join(' AND ');
+  return terms.length ? [`(${st.expr})`, ...terms].join(' AND ') : st.expr;
+}
+
+function bindCopyQuery(){
+  const btn = qs('[data-copy-query]');
+  if (!btn || btn.dataset.bound) return;
+  btn.dataset.bound = '1';
+  btn.addEventListener('click', async () => {
+    const q = fullQueryString();
+    try { await navigator.clipboard.writeText(q); btn.textContent = 'Copied'; }
+    catch { window.prompt('Copy query:', q); }
+    setTimeout(() => { btn.textContent = 'Copy query'; }, 1200);
+  });
+}
+
+// Tag aliases & parents editor: "a, b = canonical" and "child > parent, parent2", one rule per line
+function tagMappingToText(m){
+  const byTarget = new Map();
+  for (const [alias, to] of Object.entries(m?.aliases || {})){
+    if (!byTarget.has(to)) byTarget.set(to, []);
+    byTarget.get(to).push(alias);
+  }
+  const lines = [];
+  for (const [to, aliases] of byTarget) lines.push(`${aliases.join(', ')} = ${to}`);
+  for (const [tag, parents] of Object.entries(m?.parents || {})) lines.push(`${tag} > ${parents.join(', ')}`);
+  return lines.join('\n');
+}
+
+function textToTagMapping(text){
+  const aliases = {}, parents = {}, errors = [];
+  const list = (s) => s.split(',').map(x => x.trim()).filter(Boolean);
+  String(text || '').split(/\r?\n/).forEach((line, i) => {
+    const l = line.trim();
+    if (!l) return;
+    let m;
+    if ((m = /^([^=>]+)=([^=>]+)$/.exec(l))){
+      const to = m[2].trim();
+      for (const a of list(m[1])) aliases[a] = to;
+    } else if ((m = /^([^=>]+)>([^=>]+)$/.exec(l))){
+      const tag = m[1].trim();
+      parents[tag] = [...(parents[tag] || []), ...list(m[2])];
+    } else {
+      errors.push(`line ${i + 1}: expected "alias = tag" or "child > parent"`);
+    }
+  });
+  return { mapping: { aliases, parents }, errors };
+}
+
+function initTagMapping(){
+  const ta = qs('[data-tag-mapping]');
+  if (!ta || ta.dataset.bound) return;
+  ta.dataset.bound = '1';
+  const B = window.CardsBackend;
+  const status = qs('[data-tag-mapping-status]');
+  const file = qs('[data-tag-mapping-file]');
+  const showStatus = (msg) => {
+    const m = B.tagMapping;
+    const n = Object.keys(m.aliases).length, p = Object.keys(m.parents).length;
+    if (status) status.textContent = msg || `${n} alias${n === 1 ? '' : 'es'}, ${p} parent rule${p === 1 ? '' : 's'} active`;
+  };
+  const applyMapping = async (mapping) => {
+    try {
+      await B.setTagMapping(mapping);
+      ta.value = tagMappingToText(B.tagMapping);
+      showStatus();
+    } catch (err){
+      console.error('[ui-wire] tag mapping failed', err);
+      showStatus(`Could not apply: ${err?.message || err}`);
+    }
+  };
+
+  ta.value = tagMappingToText(B.tagMapping);
+  showStatus();
+
+  qs('[data-tag-mapping-apply]')?.addEventListener('click', () => {
+    const { mapping, errors } = textToTagMapping(ta.value);
+    if (errors.length){ showStatus(errors.join('; ')); return; }
+    applyMapping(mapping);
+  });
+  qs('[data-tag-mapping-import]')?.addEventListener('click', () => file?.click());
+  file?.addEventListener('change', async () => {
+    const f = file.files?.[0];
+    file.value = '';
+    if (!f) return;
+    try {
+      const json = JSON.parse(await f.text());
+      if (!json || typeof json !== 'object' || (!json.aliases && !json.parents)) throw new Error('expected { "aliases": {…}, "parents": {…} }');
+      applyMapping(json);
+    } catch (err){
+      showStatus(`Import failed: ${err?.message || err}`);
+    }
+  });
+  qs('[data-tag-mapping-export]')?.addEventListener('click', () => {
+    const { aliases, parents } = B.tagMapping;
+    const blob = new Blob([JSON.stringify({ aliases, parents }, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'powersearch-tag-mapping.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  });
+}
+
+// Toolbar sort builder: stacked sort keys, each with its own direction, persisted
+const SORT_KEYS_KEY = 'cards.sortKeys';
+const SORT_KEY_LABELS = {
+  score: 'Score (weights)', name: 'Name', creator: 'Creator', fav: 'Favorites', tag_count: 'Tag Count',
+  sigma_idf: 'Rarity Σidf', date_added: 'Date Added', date_last_chat: 'Last Chat', date_created: 'Created Date',
+  date_modified: 'Modified Date', character_version: 'Version', chat_size: 'Chat Size', data_size: 'Data Size'
+};
+
+/** Tie-breaker keys after the sort <select>, in order: [{ by, dir }]. */
+function collectSortKeys(){
+  return qsa('[data-sort-keys] .sort-key').map(el => ({
+    by: el.querySelector('select').value,
+    dir: el.querySelector('[data-sort-key-dir]').dataset.dir
+  }));
+}
+
+function sortKeyRow({ by = 'name', dir = 'desc' } = {}){
+  const row = document.createElement('span');
+  row.className = 'sort-key';
+  const sel = document.createElement('select');
+  sel.setAttribute('aria-label', 'then sort by');
+  for (const [key, label] of Object.entries(SORT_KEY_LABELS)){
+    const o = document.createElement('option');
+    o.value = key; o.textContent = label; o.selected = key === by;
+    sel.appendChild(o);
+  }
+  const dirBtn = document.createElement('button');
+  dirBtn.type = 'button'; dirBtn.className = 'btn'; dirBtn.dataset.sortKeyDir = '';
+  const setDir = (d) => {
+    dirBtn.dataset.dir = d;
+    dirBtn.textContent = d === 'asc' ? '↑' : '↓';
+    dirBtn.title = d === 'asc' ? 'Ascending (favorites last)' : 'Descending (favorites first)';
+  };
+  setDir(dir === 'asc' ? 'asc' : 'desc');
+  const rm = document.createElement('button');
+  rm.type = 'button'; rm.className = 'btn'; rm.textContent = '×'; rm.title = 'Remove this sort key';
+
+  const changed = () => { saveSortKeys(); applyDebounced(); };
+  sel.addEventListener('change', changed);
+  dirBtn.addEventListener('click', () => { setDir(dirBtn.dataset.dir === 'asc' ? 'desc' : 'asc'); changed(); });
+  rm.addEventListener('click', () => { row.remove(); changed(); });
+
+  const then = document.createElement('span');
+  then.className = 'micro'; then.textContent = 'then';
+  row.append(then, sel, dirBtn, rm);
+  return row;
+}
+
+function saveSortKeys(){
+  localStorage.setItem(SORT_KEYS_KEY, JSON.stringify(collectSortKeys()));
+}
+
+/** Sort-key builder in the toolbar ("Favorites first, then Last Chat ↓, then Σidf ↓"), persisted. */
+function initSortKeys(){
+  const host = qs('[data-sort-keys]');
+  const add = qs('[data-add-sort-key]');
+  if (!host || !add || host.dataset.bound) return;
+  host.dataset.bound = '1';
+  let saved = [];
+  try { saved = JSON.parse(localStorage.getItem(SORT_KEYS_KEY) || '[]') || []; } catch {}
+  for (const k of saved) if (SORT_KEY_LABELS[k?.by]) host.appendChild(sortKeyRow(k));
+  add.addEventListener('click', () => {
+    host.appendChild(sortKeyRow());
+    saveSortKeys();
+    applyDebounced();
+  });
+}
+
+const WEIGHTS_KEY = 'cards.weights';
+
+/** Keep the weights input (tag weights + score formula) across reloads. */
+function initWeights(){
+  const el = ctl.weights;
+  if (!el || el.dataset.persistBound) return;
+  el.dataset.persistBound = '1';
+  const saved = localStorage.getItem(WEIGHTS_KEY);
+  if (saved != null && !el.value) el.value = saved;
+  el.addEventListener('input', () => localStorage.setItem(WEIGHTS_KEY, el.value));
+}
+
+/** Syntax errors in the `score = …` formula, under the weights input (sorting falls back to tag weights). */
+function renderFormulaError(weightsInput){
+  const box = qs('[data-weights-error]');
+  if (!box) return;
+  const f = window.CardsBackend?.parseScoreFormula(weightsInput);
+  box.hidden = !f?.error;
+  if (f?.error){
+    const near = weightsInput.slice(f.error.start, f.error.end);
+    box.textContent = `Score formula not applied — ${f.error.message}${near.trim() ? ` near "${near}"` : ''}. Sorting by tag weights.`;
+  }
+}
+
+// "Search in fields" sidebar: per-field toggle + weight, persisted
+const FIELD_TARGETS_KEY = 'cards.fieldTargets';
+
+function fieldTargetInputs(){
+  return qsa('[data-field-target]').map(cb => ({
+    field: cb.dataset.fieldTarget,
+    cb,
+    w: cb.closest('.row')?.querySelector('input[type="number"]')
+  }));
+}
+
+/** { [field]: weight } for the enabled fields. */
+function collectFieldTargets(){
+  const out = {};
+  for (const { field, cb, w } of fieldTargetInputs()){
+    const weight = parseFloat(w?.value || "0");
+    if (cb.checked && weight > 0) out[field] = weight;
+  }
+  return out;
+}
+
+function initFieldTargets(){
+  let saved = {};
+  try { saved = JSON.parse(localStorage.getItem(FIELD_TARGETS_KEY) || '{}') || {}; } catch {}
+  for (const { field, cb, w } of fieldTargetInputs()){
+    const s = saved[field];
+    if (s){ cb.checked = !!s.on; if (w && isFinite(s.w)) w.value = s.w; }
+    const save = () => {
+      const all = {};
+      for (const t of fieldTargetInputs()) all[t.field] = { on: t.cb.checked, w: parseFloat(t.w?.value || "0") };
+      localStorage.setItem(FIELD_TARGETS_KEY, JSON.stringify(all));
+    };
+    cb.addEventListener('change', () => { save(); applyDebounced(); });
+    w?.addEventListener('input', () => { save(); applyDebounced(); });
+  }
+}
+
+// Text search runs in the worker, so apply() is async; only the latest run renders
+let applySeq = 0;
+
+async function apply(){
   const B = window.CardsBackend; 
   if (!B || !B.store) return;
-  const { store, query } = B;
+  const seq = ++applySeq;
   const st = collectState();
 
-  // 1) Boolean filter + k-range + rarity min
+  // 0) Search box → BM25 relevance per matching row ("phrases", -exclusions, OR; see parseSearchQuery),
+  //    plus the per-field scores of the "Search in fields" targets
+  const text = String(st.search || "").trim();
+  const searchQuery = text ? B.parseSearchQuery(text) : null;
+  const ranked = !!searchQuery?.clauses.length; // exclusions alone filter but don't rank
+  const fieldTargets = collectFieldTargets();
+  const fieldWeights = text && Object.keys(fieldTargets).length ? fieldTargets : null;
+  let relevance = null;
+  if (text){
+    try { relevance = await B.searchText(text, fieldWeights); }
+    catch (err){
+      // Worker unavailable: fall back to name/creator tokens, unranked
+      console.warn('[ui-wire] text search failed', err);
+      relevance = new Map(Array.from(B.query.searchTokens(text), id => [id, 0]));
+    }
+    if (seq !== applySeq) return;
+  }
+  const { store, query } = B;
+
+  // 1) Boolean filter + k-range + rarity min (a rule with syntax errors is not run at all)
+  const rawExpr = ctl.boolExpr?.value || '';
+  if (!renderExprDiagnostics(rawExpr, B.parseBoolExpr(rawExpr).diagnostics)) return;
+  renderPatternHint(query, st.expr);
   const filtered = query.filter({
     expr: st.expr,
     tagCountMin: st.kMin,
@@ -1093,49 +2430,16 @@ function apply(){
     rarityMin: isFinite(st.rMin) ? st.rMin : 0
   });
 
-  // 2) Token/text search with weighting
-  const text = String(st.search || "").trim().toLowerCase();
-  const idSet = query.searchTokens(st.search);
-
-  // Tunable weights
-  const W_NAME   = 8;
-  const W_TOKEN  = 3;
-  const W_NOTES  = 1;
-  const W_DESC   = 1;
-
+  // 2) Text search: keep matching rows, most relevant first (ties by name)
   let rows;
-  if (!text){
-    // No free-text → keep all filtered rows, neutral score
+  if (!relevance){
     rows = filtered.slice();
   } else {
-    const scored = [];
-    for (const r of filtered){
-      let s = 0;
-
-      // Name match (boost hard)
-      const name = String(r.name || "").toLowerCase();
-      if (name && name.includes(text)) s += W_NAME;
-
-      // Token index membership
-      if (idSet.has(r.id)) s += W_TOKEN;
-
-      // Body matches (notes + description)
-      const notes = String(r.creator_notes || "").toLowerCase();
-      const desc  = String(r.description   || "").toLowerCase();
-      if (notes.includes(text)) s += W_NOTES;
-      if (desc.includes(text))  s += W_DESC;
-
-      if (s > 0){
-        r._searchScore = s;
-        scored.push(r);
-      }
-    }
-
-    // Sort by weighted relevance, then stable tie-breaker by name
-    scored.sort((a,b)=> (b._searchScore - a._searchScore) ||
-                        String(a.name||'').localeCompare(String(b.name||'')));
-    rows = scored;
+    rows = filtered.filter(r => relevance.has(r.id));
+    rows.sort((a,b)=> (relevance.get(b.id) - relevance.get(a.id)) ||
+                      String(a.name||'').localeCompare(String(b.name||'')));
   }
+  renderDidYouMean(query, ranked ? searchQuery.clauses.flat().map(i => i.text).join(' ') : '', filtered, rows.length);
 
   // Live tag frequency over rows the user is actually seeing
   computeTagFreq(rows);
@@ -1153,16 +2457,17 @@ function apply(){
   }
 
   // 4) Sort
+  renderFormulaError(st.weightsInput);
   // IMPORTANT: preserve search relevance order when a search term is active.
-  if (!text){
+  if (!ranked){
     // Only apply user sort when there is no active text search
-    query.sort(rows, { by: st.sort.by, dir: st.sort.dir, weightsInput: st.weightsInput });
+    query.sort(rows, { keys: st.sortKeys, weightsInput: st.weightsInput });
   }
   // else: keep the relevance order produced above
 
   // 5) Stream render + metrics
-  const weights = B.parseWeights(st.weightsInput);
-  resetStream(rows, weights);
+  explainContext = { expr: st.expr, weightsInput: st.weightsInput, search: text, fieldTargets: fieldWeights };
+  resetStream(rows, query.scorer(st.weightsInput), ranked ? relevance : null);
   ensureObserver(true);
   while (stream.idx < stream.rows.length && sentinelVisible()) renderNextChunk();
 
@@ -1293,7 +2598,28 @@ function initAutocomplete(){
 })();
 
 
+// Live deltas from the producer: refresh the current view in place
+// (similarity mode keeps its own result set until the user leaves it)
+window.addEventListener('cards:updated', (e) => {
+  if (document.querySelector('aside.sidebar.similarity')) return;
+  if (document.querySelector('aside.sidebar.clusters')){
+    // Hydration only adds fields to the same rows; anything else may change membership
+    if (e.detail?.hydrated == null) refreshClusterView();
+    return;
+  }
+  applyDebounced();
+});
+
 window.addEventListener('cards:ready', () => { 
+  initWeights();
+  initSortKeys();
+  initFieldTargets();
+  bindCopyQuery();
+  bindExprBackdrop();
+  bindDuplicates();
+  bindClusters();
+  bindMap();
+  initTagMapping();
   bindEvents(); 
   apply(); 
   initAutocomplete();
@@ -1301,7 +2627,7 @@ window.addEventListener('cards:ready', () => {
 });
 
 
-  if (window.CardsBackend && window.CardsBackend.store){ attachTagDatalist(); bindEvents(); apply();   initAutocomplete(); }
+  if (window.CardsBackend && window.CardsBackend.store){ attachTagDatalist(); initWeights(); initSortKeys(); initFieldTargets(); bindCopyQuery(); bindExprBackdrop(); bindDuplicates(); bindClusters(); bindMap(); initTagMapping(); bindEvents(); apply();   initAutocomplete(); }
   if (window.CardsBackend?.store) insertNgramButton();
 
 })();